@@ -0,0 +1,66 @@
+/**
+ * Passcode bridge over EVERY configured account: Gmail OAuth accounts
+ * (tokens/<name>.json, or token.json) + IMAP accounts (icloud_accounts.json,
+ * or ICLOUD_USER / ICLOUD_APP_PASSWORD) in one process.
+ *
+ * Same endpoints as server.js / server_icloud.js, plus:
+ *   GET /route?to=xxx@icloud.com   which backends /code would ask (and why)
+ *   GET /health                    one entry per backend in "backends"
+ *
+ * /code?to= is routed by bridge_routes.json (address or "@domain" -> backend),
+ * then the account's own mailbox, then the domain (icloud.com -> iCloud,
+ * gmail.com -> Gmail), else every backend: see lib/otp/index.js.
+ *
+ * .env:
+ *   BRIDGE_BACKENDS=gmail,icloud   kinds to load (default: both)
+ *   BRIDGE_ROUTES_FILE=...         routes file (default: bridge_routes.json)
+ *
+ * Every request needs an API key (bridge_keys.json / BRIDGE_API_KEY), see lib/otp/auth.js.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { loadImapAccounts, loadGmailAccounts } = require('./lib/accounts');
+const { createGmailBackend } = require('./lib/otp/gmail');
+const { createImapBackend } = require('./lib/otp/imap');
+const { serveBridge } = require('./lib/otp');
+
+const KINDS = String(process.env.BRIDGE_BACKENDS || 'gmail,icloud')
+  .split(',')
+  .map(s => s.trim().toLowerCase())
+  .filter(Boolean);
+
+function loadBackends() {
+  const backends = [];
+
+  if (KINDS.includes('gmail')) {
+    // Only accounts that were authorized (no browser prompt from a server)
+    for (const entry of loadGmailAccounts().filter(a => fs.existsSync(a.tokenPath))) {
+      backends.push(createGmailBackend(entry, { tag: `gmail:${entry.name}` }));
+    }
+  }
+
+  if (KINDS.includes('icloud')) {
+    for (const config of loadImapAccounts()) {
+      backends.push(createImapBackend(config, { tag: `icloud:${config.name}` }));
+    }
+  }
+
+  return backends;
+}
+
+const backends = loadBackends();
+if (!backends.length) {
+  console.error(`No account for ${KINDS.join(', ')}: run "pokemon-mail auth" or set up icloud_accounts.json / ICLOUD_USER`);
+  process.exit(1);
+}
+
+const ids = backends.map(b => b.id);
+const dup = ids.find((id, i) => ids.indexOf(id) !== i);
+if (dup) {
+  console.error(`Duplicate backend "${dup}": give the accounts distinct names`);
+  process.exit(1);
+}
+
+serveBridge(backends, { label: 'Passcode bridge' });
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+// pokemon-mail: one entry point for every report + the MFA bridge
+//
+// Usage:
+//   pokemon-mail <command> [--provider gmail|icloud] [--since 7d] [--until 2025-11-20]
+//                          [--account you@icloud.com] [--out file] [--format xlsx|csv|json]
+//                          [--full | --offline]
+//
+// Commands:
+//   lottery    当選 / 抽選結果 → unique o/x per mailbox
+//   orders     注文完了のお知らせ → one row per product line
+//   shipping   商品が出荷されました → waybill / tracking / address
+//   purchased  注文完了 list (console only)
+//   ledger     won → ordered → shipped → tracking per account + JAN, with action flags
+//   remind     wins with no 注文完了 whose 購入期限 is within --hours (default 24) or passed
+//   merge      write results back into the roster workbook (--roster file.xlsx)
+//   auth       authorize a new Gmail account → tokens/<name>.json
+//   serve      start the passcode bridge (server.js / server_icloud.js, --provider all: bridge.js),
+//              --port to override, --account: only that registered account
+
+// .env before anything else: lib/ reads process.env when it is loaded
+require('dotenv').config();
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { PROVIDERS, parseTimeArg } = require('./lib/mail_source');
+const { FORMATS, withFormatExt } = require('./lib/output');
+const { loadImapAccounts, loadGmailAccounts, findAccounts, gmailTokenPath } = require('./lib/accounts');
+const { authorizeAccount } = require('./lib/gmail_auth');
+const { createGmailBackend } = require('./lib/otp/gmail');
+const { createImapBackend } = require('./lib/otp/imap');
+const { serveBridge } = require('./lib/otp');
+const { runReport } = require('./reports/run');
+const { lotteryReport } = require('./reports/lottery');
+const { ordersReport } = require('./reports/orders');
+const { shippingReport } = require('./reports/shipping');
+const { purchasedReport } = require('./reports/purchased');
+const { mergeRoster } = require('./reports/merge');
+const { runLedger } = require('./reports/ledger');
+const { runReminders } = require('./reports/reminders');
+
+// Default window + output file name per report
+const REPORTS = {
+  lottery: { report: lotteryReport, since: '7d', outName: 'lottery_result' },
+  orders: { report: ordersReport, since: '7d', outName: 'order_complete' },
+  shipping: { report: shippingReport, since: '7d', outName: 'pokemon_shipping' },
+  purchased: { report: purchasedReport, since: '30d', outName: null },
+  ledger: { run: runLedger, since: '30d', outName: 'ledger' },
+  remind: { run: runReminders, since: '30d', outName: 'reminders' },
+};
+
+const SERVERS = {
+  gmail: './server.js',
+  icloud: './server_icloud.js',
+  all: './bridge.js',
+};
+
+const SERVER_LABELS = {
+  gmail: 'Gmail bridge',
+  icloud: 'iCloud bridge',
+  all: 'Passcode bridge',
+};
+
+const OPTIONS = {
+  provider: { type: 'string', short: 'p', default: 'gmail' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  account: { type: 'string', short: 'a' },
+  out: { type: 'string', short: 'o' },
+  roster: { type: 'string', short: 'r' },
+  hours: { type: 'string' },
+  format: { type: 'string', short: 'f' },
+  port: { type: 'string' },
+  full: { type: 'boolean' },
+  offline: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+function usage() {
+  return [
+    'Usage: pokemon-mail <command> [options]',
+    '',
+    'Commands:',
+    '  lottery     当選 / 抽選結果 (unique o/x per mailbox)',
+    '  orders      注文完了のお知らせ (one row per product line)',
+    '  shipping    商品が出荷されました (waybill / tracking / address)',
+    '  purchased   注文完了 list (console only)',
+    '  ledger      won → ordered → shipped → tracking per account + JAN (NO 注文完了 / NO 出荷)',
+    '  remind      wins with no 注文完了 due within --hours (default 24) or overdue',
+    '  merge       write lottery / order / waybill / tracking into the roster (--roster)',
+    '  auth        authorize a new Gmail account (--account <name>)',
+    '  serve       start the passcode bridge (--provider all: every Gmail + iCloud account)',
+    '',
+    'Options:',
+    `  -p, --provider   ${PROVIDERS.join(' | ')} (default: gmail)`,
+    '      --since      7d / 12h / 30m or a date (default: 7d, purchased / ledger / remind / merge: 30d)',
+    '      --until      same format as --since (default: now)',
+    '  -a, --account    only this account (name or email); default: every registered account (serve too)',
+    '  -o, --out        output file (default: <provider>_<report>.<format>)',
+    `  -f, --format     ${FORMATS.join(' | ')} (default: from --out, else xlsx)`,
+    '      --full       ignore sync checkpoints, rescan the whole --since window',
+    '      --offline    report from the local message store only (no mail server)',
+    '      --hours      remind only: deadline horizon in hours (default: 24)',
+    '  -r, --roster     merge only: roster workbook (one row per account email)',
+    '      --port       serve only (default: PORT in .env or 8787)',
+  ].join('\n');
+}
+
+function resolveOut(values, provider, outName) {
+  const format = values.format || (values.out ? path.extname(values.out).slice(1) : '') || 'xlsx';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(' | ')})`);
+  }
+  const outPath = values.out
+    ? path.resolve(values.out)
+    : path.resolve(`${provider}_${outName}.${format}`);
+  return { outPath: values.format ? withFormatExt(outPath, format) : outPath, format };
+}
+
+// Roster output defaults to <roster>_merged.xlsx: never overwrite our own sheet by accident
+async function merge(values) {
+  if (!values.roster) throw new Error('merge needs --roster <file.xlsx>');
+  const rosterPath = path.resolve(values.roster);
+  const outPath = values.out
+    ? path.resolve(values.out)
+    : rosterPath.replace(/(\.xlsx)?$/i, '_merged.xlsx');
+
+  await mergeRoster({
+    rosterPath,
+    outPath,
+    since: parseTimeArg(values.since || '30d'),
+    until: parseTimeArg(values.until),
+  });
+}
+
+async function auth(values) {
+  const { name, email, tokenPath } = await authorizeAccount({
+    name: values.account,
+    tokenPathFor: gmailTokenPath,
+  });
+  console.log(`Gmail account "${name}" (${email}) saved: ${tokenPath}`);
+}
+
+// Registered accounts matching --account, each with its whole registry entry
+// (token file / mailbox, host...)
+function accountBackends(provider, account) {
+  const backends = [];
+  if (provider !== 'icloud') {
+    for (const entry of findAccounts(loadGmailAccounts(), account)) {
+      backends.push(createGmailBackend(entry, { tag: `gmail:${entry.name}` }));
+    }
+  }
+  if (provider !== 'gmail') {
+    for (const config of findAccounts(loadImapAccounts(), account)) {
+      backends.push(createImapBackend(config, { tag: `icloud:${config.name}` }));
+    }
+  }
+  if (!backends.length) {
+    throw new Error(`No ${provider === 'all' ? '' : `${provider} `}account "${account}"`);
+  }
+  return backends;
+}
+
+function serve(values) {
+  if (values.port) process.env.PORT = values.port;
+  if (!values.account) {
+    require(SERVERS[values.provider]);
+    return;
+  }
+  serveBridge(accountBackends(values.provider, values.account), { label: SERVER_LABELS[values.provider] });
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command] = positionals;
+
+  if (values.help || !command) {
+    console.log(usage());
+    return;
+  }
+
+  // serve --provider all: every Gmail + iCloud account in one bridge
+  const known = command === 'serve' ? Object.keys(SERVERS) : PROVIDERS;
+  if (!known.includes(values.provider)) {
+    throw new Error(`Unknown provider: ${values.provider} (expected ${known.join(' | ')})`);
+  }
+
+  if (command === 'auth') return auth(values);
+  if (command === 'serve') return serve(values);
+  if (command === 'merge') return merge(values);
+
+  const entry = REPORTS[command];
+  if (!entry) throw new Error(`Unknown command: ${command}\n\n${usage()}`);
+
+  const options = {
+    since: parseTimeArg(values.since || entry.since),
+    until: parseTimeArg(values.until),
+    account: values.account,
+    hours: values.hours,
+    full: values.full,
+    offline: values.offline,
+  };
+  if (entry.outName) Object.assign(options, resolveOut(values, values.provider, entry.outName));
+
+  if (entry.run) await entry.run(values.provider, options);
+  else await runReport(entry.report, values.provider, options);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,98 @@
+// Account registries: every configured mailbox is scanned in one run.
+//
+// ---------- iCloud ----------
+// icloud_accounts.json (or ICLOUD_ACCOUNTS_FILE in .env):
+// [
+//   { "name": "main", "user": "a@icloud.com", "pass": "abcd-efgh-ijkl-mnop" },
+//   { "user": "b@icloud.com", "pass": "qrst-uvwx-yzab-cdef", "mailbox": "INBOX" }
+// ]
+//
+// Missing keys (host, port, mailbox, TLS) fall back to the ICLOUD_* values in .env.
+// Without the file, the single ICLOUD_USER / ICLOUD_APP_PASSWORD account is used.
+//
+// ---------- Gmail ----------
+// tokens/<name>.json (or GMAIL_TOKENS_DIR in .env), one refresh token per account,
+// created by `pokemon-mail auth --account <name>`.
+// Without any registered account, the legacy token.json is used as "default".
+//
+// SECURITY:
+// - Both hold credentials (app-specific passwords / refresh tokens): they are
+//   git-ignored, never commit them.
+
+const fs = require('fs');
+const path = require('path');
+const { imapConfigFromEnv } = require('./imap_source');
+const { TOKEN_PATH } = require('./gmail_auth');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ICLOUD_ACCOUNTS_PATH = path.join(ROOT_DIR, process.env.ICLOUD_ACCOUNTS_FILE || 'icloud_accounts.json');
+const GMAIL_TOKENS_DIR = path.join(ROOT_DIR, process.env.GMAIL_TOKENS_DIR || 'tokens');
+
+function loadImapAccounts(filePath = ICLOUD_ACCOUNTS_PATH) {
+  const defaults = imapConfigFromEnv();
+
+  if (!fs.existsSync(filePath)) {
+    if (!defaults.user || !defaults.pass) return [];
+    return [{ name: defaults.user, ...defaults }];
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const list = Array.isArray(raw) ? raw : raw.accounts;
+  if (!Array.isArray(list)) {
+    throw new Error(`Invalid accounts file (expected an array): ${filePath}`);
+  }
+
+  return list.map((a, i) => {
+    if (!a || !a.user || !a.pass) {
+      throw new Error(`Invalid accounts file: entry #${i + 1} needs "user" and "pass"`);
+    }
+    return { ...defaults, ...a, name: a.name || a.user };
+  });
+}
+
+// Account names become file names: keep them boring
+function gmailTokenPath(name) {
+  const safe = String(name || '').trim().replace(/[^A-Za-z0-9@._+-]/g, '_');
+  if (!safe) throw new Error('Gmail account name is empty');
+  return path.join(GMAIL_TOKENS_DIR, `${safe}.json`);
+}
+
+function readTokenEmail(tokenPath) {
+  try {
+    return String(JSON.parse(fs.readFileSync(tokenPath, 'utf-8')).email || '');
+  } catch {
+    return '';
+  }
+}
+
+// [{ name, user (Gmail address, '' if unknown), tokenPath, legacy }]
+function loadGmailAccounts(dir = GMAIL_TOKENS_DIR) {
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()
+    : [];
+
+  if (!files.length) {
+    return [{ name: 'default', user: readTokenEmail(TOKEN_PATH), tokenPath: TOKEN_PATH, legacy: true }];
+  }
+
+  return files.map(f => {
+    const tokenPath = path.join(dir, f);
+    return { name: path.basename(f, '.json'), user: readTokenEmail(tokenPath), tokenPath, legacy: false };
+  });
+}
+
+// --account matches either the entry name or the login
+function findAccounts(accounts, wanted) {
+  if (!wanted) return accounts;
+  const w = String(wanted).toLowerCase();
+  return accounts.filter(a => a.name.toLowerCase() === w || (a.user || '').toLowerCase() === w);
+}
+
+module.exports = {
+  ICLOUD_ACCOUNTS_PATH,
+  GMAIL_TOKENS_DIR,
+  loadImapAccounts,
+  gmailTokenPath,
+  loadGmailAccounts,
+  findAccounts,
+};
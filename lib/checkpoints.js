@@ -0,0 +1,49 @@
+// Sync checkpoints: where the last run of a report stopped, per mailbox.
+//
+// data/sync_state.json (or SYNC_STATE_FILE in .env):
+// {
+//   "gmail:me@gmail.com:lottery":  { "historyId": "123456", "coveredSince": "2025-11-01T00:00:00.000Z", "parsedAs": "8:...", "syncedAt": "..." },
+//   "icloud:main:order":           { "mailbox": "INBOX", "uidValidity": "1700000000", "lastUid": 4242, "coveredSince": "", "parsedAs": "...", "syncedAt": "..." }
+// }
+// coveredSince: start of the window already in the store (reports/run.js, '' = all mail).
+// parsedAs: report version + rule / alias fingerprint of that run; another one
+// = the stored mails are stale, so the next run scans the window again.
+//
+// One entry per (provider, account, report type): each report searches other
+// subjects, so one report moving forward must not skip mail for another.
+// The position is opaque here; it is whatever source.checkpoint() returned.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SYNC_STATE_PATH = path.resolve(ROOT_DIR, process.env.SYNC_STATE_FILE || 'data/sync_state.json');
+
+function checkpointKey(provider, account, type) {
+  return `${provider}:${account || ''}:${type}`;
+}
+
+function openCheckpoints(filePath = SYNC_STATE_PATH) {
+  const state = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : {};
+
+  // Saved right away: a crash on the next account keeps this one's progress
+  function set(key, checkpoint) {
+    state[key] = { ...checkpoint, syncedAt: new Date().toISOString() };
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, filePath);
+  }
+
+  return {
+    filePath,
+    get: key => state[key] || null,
+    set,
+  };
+}
+
+module.exports = {
+  SYNC_STATE_PATH,
+  checkpointKey,
+  openCheckpoints,
+};
@@ -0,0 +1,275 @@
+// Passcode lookup shared by the MFA bridges (server.js / server_icloud.js).
+//
+// A bridge provides ONE scan: scan({ minTs, wants }) -> candidates, newest first
+// (mails older than minTs, or known to be delivered to none of `wants` when
+// that is not null, may be left out: matchCode skips them anyway):
+//   { id, internalDate (ms), recipients, code, where }
+//   - recipients: canonical addresses the mail was delivered to (lib/recipients.js
+//     recipientPool), [] = no recipient info (accepted unless strictRecipients),
+//     null = could not be determined (rejected when ?to= is given)
+//   - code: passcode found in the mail (null = none)
+// matchCode() applies the request rules to it; createCodeWaiter() runs the
+// scan in the background for every /code?wait= request at once;
+// createCodeCache() keeps candidates pushed by a watcher (IMAP IDLE) by recipient;
+// createDeliveryLog() remembers which mails were handed out (consume=1, /code/ack).
+
+// ======================================================
+// Request rules
+// ======================================================
+
+// Newest candidate with internalDate >= minTs, delivered to `want` (if given), with a code.
+// strictRecipients: a mail with no recipient info ([]) is not taken for `want` either.
+// claim(candidate) (optional) -> false = may not be handed out (already used),
+// try the next one; called synchronously, so claiming cannot race.
+function matchCode(candidates, { want = '', minTs = 0, strictRecipients = false, claim }) {
+  if (!candidates.length) return { found: false, code: null, reason: 'no_messages' };
+
+  let skipped = 0;
+  for (const c of candidates) {
+    if (c.internalDate && c.internalDate < minTs) continue;
+    if (want && !c.recipients?.includes(want) && (strictRecipients || !c.recipients || c.recipients.length)) continue;
+    if (!c.code) continue;
+    if (claim && !claim(c)) {
+      skipped++;
+      continue;
+    }
+    return { found: true, code: c.code, where: c.where, internalDate: c.internalDate, id: c.id };
+  }
+
+  return {
+    found: false,
+    code: null,
+    reason: skipped ? 'codes_already_delivered' : `no_code_after_${new Date(minTs).toISOString()}`,
+    minTs,
+    ...(skipped ? { skipped } : {}),
+  };
+}
+
+// ?wait= seconds -> ms, capped (0 = answer immediately)
+function parseWait(value, maxSeconds) {
+  const seconds = Number(value || 0);
+  if (!Number.isFinite(seconds) || seconds <= 0) return 0;
+  return Math.min(seconds, maxSeconds) * 1000;
+}
+
+// ======================================================
+// Cache: candidates by recipient
+// ======================================================
+// candidatesFor(want) = what matchCode needs to see for that recipient:
+// mails delivered to it + mails without recipient info; newest first.
+function createCodeCache({ maxAgeMs }) {
+  const byId = new Map();
+  const byRecipient = new Map(); // canonical email -> Set(id)
+  const unknown = new Set(); // ids with recipients [] / null
+
+  function remove(id) {
+    const c = byId.get(id);
+    if (!c) return;
+    byId.delete(id);
+    unknown.delete(id);
+    for (const r of c.recipients || []) {
+      byRecipient.get(r)?.delete(id);
+      if (!byRecipient.get(r)?.size) byRecipient.delete(r);
+    }
+  }
+
+  function prune(now = Date.now()) {
+    for (const [id, c] of byId) {
+      if (c.internalDate && c.internalDate < now - maxAgeMs) remove(id);
+    }
+  }
+
+  function add(c) {
+    remove(c.id);
+    byId.set(c.id, c);
+    if (!c.recipients?.length) unknown.add(c.id);
+    for (const r of c.recipients || []) {
+      if (!byRecipient.has(r)) byRecipient.set(r, new Set());
+      byRecipient.get(r).add(c.id);
+    }
+  }
+
+  const newestFirst = ids => [...ids].map(id => byId.get(id)).sort((a, b) => b.internalDate - a.internalDate);
+
+  function candidatesFor(want = '') {
+    prune();
+    if (!want) return newestFirst(byId.keys());
+    return newestFirst(new Set([...(byRecipient.get(want) || []), ...unknown]));
+  }
+
+  function clear() {
+    byId.clear();
+    byRecipient.clear();
+    unknown.clear();
+  }
+
+  return {
+    add,
+    candidatesFor,
+    prune,
+    clear,
+    size: () => byId.size,
+  };
+}
+
+// ======================================================
+// Deliveries: which mail's code was handed out (by backend + message id)
+// ======================================================
+// claim() is the matchCode claim for one request:
+//   - an acked mail (login confirmed) or a consumed one (handed out with
+//     consume=1) is never handed out again, consume or not
+//   - consume=1: a mail handed out before (consume or not) is skipped too
+// It records the delivery and returns a handle: release() undoes it when
+// the router picks another backend's code or the client went away.
+// Kept maxAgeMs (older mails are out of every scan window anyway).
+function createDeliveryLog({ maxAgeMs }) {
+  const byKey = new Map(); // `${backend} ${id}` -> record
+
+  const keyOf = (backend, id) => `${backend} ${id}`;
+
+  function prune(now = Date.now()) {
+    for (const [k, d] of byKey) {
+      if ((d.internalDate || d.deliveredAt) < now - maxAgeMs) byKey.delete(k);
+    }
+  }
+
+  function claim(backend, c, { consume = false, want = '' } = {}) {
+    const k = keyOf(backend, c.id);
+    const prev = byKey.get(k);
+    if (prev?.ackedAt || prev?.consumed || (consume && prev)) return null;
+
+    const mine = {
+      backend,
+      id: c.id,
+      want: prev?.want || want,
+      internalDate: c.internalDate,
+      deliveredAt: Date.now(),
+      delivered: (prev?.delivered || 0) + 1,
+      consumed: Boolean(prev?.consumed || consume),
+      ackedAt: null,
+    };
+    byKey.set(k, mine);
+
+    return {
+      record: () => byKey.get(k),
+      // Undo this claim only if nothing (an ack, a later claim) replaced it since
+      release() {
+        if (byKey.get(k) !== mine || mine.ackedAt) return;
+        if (prev) byKey.set(k, prev);
+        else byKey.delete(k);
+      },
+    };
+  }
+
+  // Deliveries of message `id` (backend optional: ids are per mailbox)
+  function find(id, backend = '') {
+    prune();
+    return [...byKey.values()].filter(d => String(d.id) === String(id) && (!backend || d.backend === backend));
+  }
+
+  function ack(d) {
+    d.ackedAt = d.ackedAt || Date.now();
+    return d;
+  }
+
+  function stats() {
+    prune();
+    const list = [...byKey.values()];
+    return { tracked: list.length, consumed: list.filter(d => d.consumed).length, acked: list.filter(d => d.ackedAt).length };
+  }
+
+  return {
+    claim,
+    find,
+    ack,
+    prune,
+    stats,
+  };
+}
+
+// ======================================================
+// Long-poll: one background scan for every waiting request
+// ======================================================
+// The loop runs only while someone waits: a new waiter starts it right away
+// (or joins the next round when it is already running), every round scans
+// from the oldest waiter's minTs and answers each waiter whose code arrived.
+// A scan error (auth, network) ends every current waiter with that error.
+function createCodeWaiter({ scan, intervalMs = 5000, log = () => {} }) {
+  const waiters = new Set();
+  let running = false;
+  let timer = null;
+
+  function finish(w, result, error) {
+    if (!waiters.delete(w)) return;
+    clearTimeout(w.timer);
+    w.signal?.removeEventListener('abort', w.onAbort);
+    if (error) w.reject(error);
+    else w.resolve(result);
+  }
+
+  async function round() {
+    timer = null;
+    if (!waiters.size) {
+      running = false;
+      return;
+    }
+
+    const list = [...waiters];
+    const minTs = Math.min(...list.map(w => w.query.minTs));
+    const wants = list.some(w => !w.query.want) ? null : [...new Set(list.map(w => w.query.want))];
+    try {
+      const candidates = await scan({ minTs, wants });
+      for (const w of list) {
+        if (!waiters.has(w)) continue; // timed out / aborted during the scan: claims nothing
+        const r = matchCode(candidates, w.query);
+        if (r.found) finish(w, r);
+        else w.last = r;
+      }
+      log('[WAIT] round', { waiting: waiters.size, candidates: candidates.length });
+    } catch (e) {
+      for (const w of list) finish(w, null, e);
+    }
+
+    timer = setTimeout(round, intervalMs);
+  }
+
+  // New mail seen (watcher): run the next round now instead of after intervalMs
+  function notify() {
+    if (!timer) return;
+    clearTimeout(timer);
+    round();
+  }
+
+  // query: { want, minTs } (matchCode) -> first match, or the last miss with
+  // reason 'timeout' after timeoutMs; signal: abort when the client goes away
+  function wait(query, { timeoutMs, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const w = { query, resolve, reject, signal, last: null };
+      w.timer = setTimeout(() => {
+        finish(w, { ...(w.last || matchCode([], query)), found: false, code: null, reason: 'timeout' });
+      }, timeoutMs);
+      w.onAbort = () => finish(w, { found: false, code: null, reason: 'aborted' });
+      signal?.addEventListener('abort', w.onAbort);
+
+      waiters.add(w);
+      if (!running) {
+        running = true;
+        round();
+      }
+    });
+  }
+
+  return {
+    wait,
+    notify,
+    size: () => waiters.size,
+  };
+}
+
+module.exports = {
+  matchCode,
+  parseWait,
+  createCodeCache,
+  createDeliveryLog,
+  createCodeWaiter,
+};
@@ -0,0 +1,80 @@
+// Email canonicalization: ONE key per mailbox for every join (lottery / orders /
+// shipping / ledger / roster merge / OTP recipient check).
+//
+// canonicalEmail(' Foo.Bar+x@GoogleMail.com ') => 'foo.bar+x@gmail.com'
+// - NFKC (full-width ＠ / letters typed in Japanese IME), trim, lowercase
+// - googlemail.com -> gmail.com (same mailbox)
+// - IDN domain -> punycode (例え.jp -> xn--r8jz45g.jp)
+// - dot / plus folding ONLY for the domains listed in EMAIL_FOLD (.env):
+//     EMAIL_FOLD=gmail.com:dots,plus;icloud.com:plus
+//   Off by default: one inbox often holds several Pokemon Center accounts
+//   (a.b@gmail.com, ab+2@gmail.com...), folding would merge them.
+//
+// The address as received is kept by the reports as a display column.
+
+const { domainToASCII } = require('url');
+
+const DOMAIN_ALIASES = { 'googlemail.com': 'gmail.com' };
+
+// 'gmail.com:dots,plus;icloud.com:plus' -> { 'gmail.com': { dots: true, plus: true }, ... }
+function parseFoldSpec(spec = '') {
+  const out = {};
+  for (const part of String(spec).split(';')) {
+    const [domain, flags = ''] = part.split(':').map(s => s.trim().toLowerCase());
+    if (!domain) continue;
+    const list = flags.split(',').map(s => s.trim());
+    out[DOMAIN_ALIASES[domain] || domain] = { dots: list.includes('dots'), plus: list.includes('plus') };
+  }
+  return out;
+}
+
+const EMAIL_FOLD = parseFoldSpec(process.env.EMAIL_FOLD);
+
+// Not an address (no local part / domain): trimmed + lowercased as-is
+function canonicalEmail(address, { fold = EMAIL_FOLD } = {}) {
+  const s = String(address ?? '').normalize('NFKC').trim().toLowerCase();
+  const at = s.lastIndexOf('@');
+  if (at <= 0 || at === s.length - 1) return s;
+
+  let local = s.slice(0, at);
+  let domain = s.slice(at + 1).replace(/\.$/, '');
+
+  // IDN -> ASCII ('' = invalid domain: keep what we got rather than drop the row)
+  domain = domainToASCII(domain) || domain;
+  domain = DOMAIN_ALIASES[domain] || domain;
+
+  const rule = fold[domain];
+  if (rule?.plus) local = local.split('+')[0] || local;
+  if (rule?.dots) local = local.replace(/\./g, '') || local;
+
+  return `${local}@${domain}`;
+}
+
+function sameEmail(a, b) {
+  const ca = canonicalEmail(a);
+  return Boolean(ca) && ca === canonicalEmail(b);
+}
+
+// canonical -> Set(original spellings), for the display column
+function createOriginals() {
+  const map = new Map();
+  return {
+    add(original) {
+      const key = canonicalEmail(original);
+      if (!key) return '';
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(String(original).trim());
+      return key;
+    },
+    // 'A.B@gmail.com / ab@gmail.com'
+    of: key => [...(map.get(key) || [])].join(' / '),
+  };
+}
+
+module.exports = {
+  EMAIL_FOLD,
+  parseFoldSpec,
+  canonicalEmail,
+  sameEmail,
+  createOriginals,
+};
@@ -0,0 +1,27 @@
+// Small formatting helpers for console logs and Excel cells.
+
+function pct(n, d) {
+  if (!d) return '0.00%';
+  return `${((n / d) * 100).toFixed(2)}%`;
+}
+
+// Date -> 'Tue, 18 Nov 2025 01:23:45 GMT' (empty when missing/invalid)
+function formatDate(date) {
+  if (!date) return '';
+  const d = date instanceof Date ? date : new Date(date);
+  return Number.isNaN(d.getTime()) ? '' : d.toUTCString();
+}
+
+// Date -> '2025-11-20 23:59' in Japan time (deadlines are announced in JST)
+function formatJst(date) {
+  if (!date) return '';
+  const d = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(d.getTime())) return '';
+  return new Date(d.getTime() + 9 * 60 * 60 * 1000).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+module.exports = {
+  pct,
+  formatDate,
+  formatJst,
+};
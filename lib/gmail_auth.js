@@ -0,0 +1,207 @@
+// Gmail OAuth2 helper.
+// - Client secret: pokemon_cre.json (CRE_FILE in .env), shared by every account
+// - Legacy single token: token.json (TOKEN_FILE in .env, same as server.js)
+// - Named accounts: tokens/<name>.json (see lib/accounts.js), one refresh token each
+//
+// Consent uses the loopback redirect (http://127.0.0.1:<random port>/oauth2callback):
+// the out-of-band "paste the code" flow is deprecated by Google.
+// Refreshed / rotated tokens are written back to the token file.
+
+const { google } = require('googleapis');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const SCOPES = ['https://www.googleapis.com/auth/gmail.readonly'];
+const TOKEN_PATH = path.join(ROOT_DIR, process.env.TOKEN_FILE || 'token.json');
+const CREDENTIALS_PATH = path.join(ROOT_DIR, process.env.CRE_FILE || 'pokemon_cre.json');
+
+// Loopback listener: OAUTH_PORT=0 picks a free port
+const OAUTH_PORT = Number(process.env.OAUTH_PORT || 0);
+const OAUTH_TIMEOUT_MS = 5 * 60 * 1000;
+
+function loadClientKey() {
+  if (!fs.existsSync(CREDENTIALS_PATH)) {
+    throw new Error(`Missing credentials: ${CREDENTIALS_PATH}`);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf-8'));
+  const key = raw.installed || raw.web;
+  if (!key) throw new Error('Invalid credentials file (missing installed/web)');
+  return key;
+}
+
+function createOAuthClient() {
+  const { client_id, client_secret, redirect_uris } = loadClientKey();
+  return new google.auth.OAuth2(client_id, client_secret, redirect_uris?.[0]);
+}
+
+// Wait for Google to redirect the browser back to our loopback listener
+function waitForCallback(server, redirectUri, state) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error(`Timed out waiting for Google sign-in (${OAUTH_TIMEOUT_MS / 60000} min)`));
+    }, OAUTH_TIMEOUT_MS);
+
+    server.on('request', (req, res) => {
+      const u = new URL(req.url, redirectUri);
+      if (u.pathname !== '/oauth2callback') {
+        res.writeHead(404);
+        return res.end();
+      }
+
+      const error = u.searchParams.get('error');
+      const code = u.searchParams.get('code');
+      const ok = !error && code && u.searchParams.get('state') === state;
+
+      res.writeHead(ok ? 200 : 400, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(ok
+        ? '<p>Authorized. You can close this tab.</p>'
+        : `<p>Authorization failed: ${error || 'invalid callback'}</p>`);
+
+      clearTimeout(timer);
+      if (ok) resolve(code);
+      else reject(new Error(`Google sign-in failed: ${error || 'state mismatch / missing code'}`));
+    });
+  });
+}
+
+// Open the consent URL in a browser; Google redirects back to 127.0.0.1 with the code
+async function runConsentFlow(oAuth2Client) {
+  const server = http.createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(OAUTH_PORT, '127.0.0.1', resolve);
+  });
+
+  const redirectUri = `http://127.0.0.1:${server.address().port}/oauth2callback`;
+  const state = crypto.randomBytes(16).toString('hex');
+  const { codeVerifier, codeChallenge } = await oAuth2Client.generateCodeVerifierAsync();
+
+  try {
+    const authUrl = oAuth2Client.generateAuthUrl({
+      access_type: 'offline',
+      prompt: 'consent',
+      scope: SCOPES,
+      state,
+      redirect_uri: redirectUri,
+      code_challenge_method: 'S256',
+      code_challenge: codeChallenge,
+    });
+
+    console.log('Authorize this app by visiting this url:', authUrl);
+    console.log(`Waiting for Google to redirect to ${redirectUri} ...`);
+
+    const code = await waitForCallback(server, redirectUri, state);
+    const { tokens } = await oAuth2Client.getToken({ code, codeVerifier, redirect_uri: redirectUri });
+    oAuth2Client.setCredentials(tokens);
+    return tokens;
+  } finally {
+    server.close();
+  }
+}
+
+function saveToken(tokenPath, tokens, extra = {}) {
+  const { client_id, client_secret } = loadClientKey();
+  fs.mkdirSync(path.dirname(tokenPath), { recursive: true });
+  fs.writeFileSync(
+    tokenPath,
+    JSON.stringify(
+      {
+        type: 'authorized_user',
+        client_id,
+        client_secret,
+        refresh_token: tokens.refresh_token,
+        ...extra,
+      },
+      null,
+      2
+    )
+  );
+}
+
+// Write refreshed access tokens (and rotated refresh tokens) back to the file
+function persistTokenRotation(oAuth2Client, tokenPath) {
+  oAuth2Client.on('tokens', tokens => {
+    try {
+      const current = fs.existsSync(tokenPath) ? JSON.parse(fs.readFileSync(tokenPath, 'utf-8')) : {};
+      const next = {
+        ...current,
+        refresh_token: tokens.refresh_token || current.refresh_token,
+        access_token: tokens.access_token || current.access_token,
+        expiry_date: tokens.expiry_date || current.expiry_date,
+      };
+      fs.writeFileSync(tokenPath, JSON.stringify(next, null, 2));
+    } catch (err) {
+      console.error(`[WARN] cannot save refreshed token to ${tokenPath}: ${err?.message || err}`);
+    }
+  });
+}
+
+// Load one token file; when missing, run the consent flow (interactive) and save it
+async function authorize({ tokenPath = TOKEN_PATH, interactive = true } = {}) {
+  const oAuth2Client = createOAuthClient();
+
+  if (fs.existsSync(tokenPath)) {
+    const token = JSON.parse(fs.readFileSync(tokenPath, 'utf-8'));
+    oAuth2Client.setCredentials(token);
+  } else {
+    if (!interactive) throw new Error(`Missing token: ${tokenPath}`);
+    const tokens = await runConsentFlow(oAuth2Client);
+    saveToken(tokenPath, tokens);
+  }
+
+  persistTokenRotation(oAuth2Client, tokenPath);
+  return oAuth2Client;
+}
+
+// Refresh token revoked / expired (password change, app removed, 7-day testing limit...)
+function isInvalidGrant(err) {
+  const data = err?.response?.data;
+  return data?.error === 'invalid_grant' || /invalid_grant/.test(String(err?.message || ''));
+}
+
+// Clear "what to do now" error for a revoked token
+function reauthError({ name = 'default', tokenPath = TOKEN_PATH, legacy = false } = {}, cause) {
+  const how = legacy
+    ? `delete ${tokenPath} and run again, or: pokemon-mail auth --account <name>`
+    : `pokemon-mail auth --account ${name}`;
+  const err = new Error(`Gmail account "${name}" must be re-authorized (invalid_grant): ${how}`);
+  err.code = 'REAUTH_REQUIRED';
+  err.account = name;
+  err.cause = cause;
+  return err;
+}
+
+// Authorize a NEW named account: consent flow + save tokens/<name>.json.
+// name defaults to the Gmail address of the account that consented.
+async function authorizeAccount({ name, tokenPathFor }) {
+  const oAuth2Client = createOAuthClient();
+  const tokens = await runConsentFlow(oAuth2Client);
+  if (!tokens.refresh_token) {
+    throw new Error('Google returned no refresh_token (remove the app from your Google account and retry)');
+  }
+
+  const gmail = google.gmail({ version: 'v1', auth: oAuth2Client });
+  const profile = await gmail.users.getProfile({ userId: 'me' });
+  const email = String(profile.data.emailAddress || '');
+
+  const accountName = name || email;
+  const tokenPath = tokenPathFor(accountName);
+  saveToken(tokenPath, tokens, { email });
+
+  return { name: accountName, email, tokenPath };
+}
+
+module.exports = {
+  SCOPES,
+  TOKEN_PATH,
+  CREDENTIALS_PATH,
+  authorize,
+  authorizeAccount,
+  isInvalidGrant,
+  reauthError,
+};
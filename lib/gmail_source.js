@@ -0,0 +1,172 @@
+// Gmail API backend for the MailSource interface (see lib/mail_source.js).
+//
+// - search() / searchSince() follow nextPageToken (no 500-message cap)
+// - every call retries 429 / 5xx / quota 403 with exponential backoff (lib/retry.js)
+// - `concurrency` tells callers how many messages.get may run at once
+//   (GMAIL_CONCURRENCY in .env, default 8; Gmail allows ~50 get/s per user)
+
+const { google } = require('googleapis');
+const { collectBodyTexts } = require('./mime');
+const { withRetry } = require('./retry');
+const { RCPT_HEADERS } = require('./recipients');
+
+const GMAIL_CONCURRENCY = Number(process.env.GMAIL_CONCURRENCY || 8);
+
+const METADATA_HEADERS = [
+  'Subject',
+  'From',
+  'To',
+  'Date',
+  'Message-ID',
+  // Forwarding / relay headers (recipient resolution, lib/recipients.js)
+  ...RCPT_HEADERS,
+];
+
+function getHeader(headers, name) {
+  const h = (headers || []).find(x => (x.name || '').toLowerCase() === name.toLowerCase());
+  return h ? (h.value || '') : '';
+}
+
+// Build Gmail "q" from subjects (any-of) + precise epoch-second window
+function buildQuery({ subjects = [], since, until }) {
+  const parts = [];
+  if (subjects.length) {
+    parts.push(`{${subjects.map(s => `subject:"${s}"`).join(' ')}}`);
+  }
+  if (since) parts.push(`after:${Math.floor(since.getTime() / 1000)}`);
+  if (until) parts.push(`before:${Math.floor(until.getTime() / 1000)}`);
+  return parts.join(' ');
+}
+
+// Lowercase name -> value; repeated headers (Delivered-To on forwarded mail) joined in order
+function headerMap(headers) {
+  const map = {};
+  for (const h of headers || []) {
+    const k = (h.name || '').toLowerCase();
+    if (!k) continue;
+    map[k] = k in map ? `${map[k]}, ${h.value || ''}` : h.value || '';
+  }
+  return map;
+}
+
+function toMailHeaders(id, data) {
+  const headers = data.payload?.headers || [];
+
+  const dateHeader = getHeader(headers, 'Date');
+  const parsed = dateHeader ? new Date(dateHeader) : null;
+  const date = parsed && !Number.isNaN(parsed.getTime())
+    ? parsed
+    : new Date(Number(data.internalDate || 0));
+
+  return {
+    id,
+    subject: getHeader(headers, 'Subject').trim(),
+    from: getHeader(headers, 'From').trim(),
+    to: getHeader(headers, 'To').trim(),
+    date,
+    internalDate: new Date(Number(data.internalDate || 0)),
+    messageId: getHeader(headers, 'Message-ID').trim(),
+    headers: headerMap(headers),
+  };
+}
+
+// rootUrl: another Gmail API endpoint (a local fake server in test/).
+// retry: false = googleapis' own retry off, withRetry() is the only one
+// (both together tried a quota error up to 4 x 4 times).
+function createGmailSource({ auth, rootUrl }) {
+  const gmail = google.gmail({ version: 'v1', auth, retry: false, ...(rootUrl ? { rootUrl } : {}) });
+
+  async function search(query = {}) {
+    const q = buildQuery(query);
+    const ids = [];
+    let pageToken;
+    do {
+      const res = await withRetry(
+        () => gmail.users.messages.list({ userId: 'me', q, maxResults: 500, pageToken }),
+        { label: 'messages.list' }
+      );
+      for (const m of res.data.messages || []) ids.push(m.id);
+      pageToken = res.data.nextPageToken;
+    } while (pageToken);
+    return ids;
+  }
+
+  // Current mailbox position, taken BEFORE searching so nothing slips in between
+  async function checkpoint() {
+    const profile = await withRetry(() => gmail.users.getProfile({ userId: 'me' }), { label: 'getProfile' });
+    return { historyId: String(profile.data.historyId || '') };
+  }
+
+  // Every message added after checkpoint.historyId (any subject: callers
+  // re-check headers). null when Google no longer keeps that history (~1 week).
+  async function searchSince(cp) {
+    if (!cp || !cp.historyId) return null;
+
+    const ids = new Set();
+    let pageToken;
+    try {
+      do {
+        const res = await withRetry(() => gmail.users.history.list({
+          userId: 'me',
+          startHistoryId: cp.historyId,
+          historyTypes: ['messageAdded'],
+          maxResults: 500,
+          pageToken,
+        }), { label: 'history.list' });
+        for (const h of res.data.history || []) {
+          for (const { message } of h.messagesAdded || []) {
+            if (message?.id && !(message.labelIds || []).includes('DRAFT')) ids.add(message.id);
+          }
+        }
+        pageToken = res.data.nextPageToken;
+      } while (pageToken);
+    } catch (err) {
+      if (err?.code === 404 || err?.response?.status === 404) return null;
+      throw err;
+    }
+
+    return [...ids];
+  }
+
+  async function fetchHeaders(id) {
+    const msg = await withRetry(() => gmail.users.messages.get({
+      userId: 'me',
+      id,
+      format: 'metadata',
+      metadataHeaders: METADATA_HEADERS,
+    }), { label: 'messages.get' });
+    return toMailHeaders(id, msg.data);
+  }
+
+  async function fetchBody(id) {
+    const msg = await withRetry(() => gmail.users.messages.get({
+      userId: 'me',
+      id,
+      format: 'full',
+    }), { label: 'messages.get' });
+    const bodies = collectBodyTexts(msg.data.payload);
+    return {
+      text: bodies.plain.join('\n').trim(),
+      html: bodies.html.join('\n').trim(),
+    };
+  }
+
+  return {
+    provider: 'gmail',
+    gmail,
+    concurrency: GMAIL_CONCURRENCY,
+    search,
+    checkpoint,
+    searchSince,
+    fetchHeaders,
+    fetchBody,
+    close: async () => {},
+  };
+}
+
+module.exports = {
+  getHeader,
+  headerMap,
+  buildQuery,
+  createGmailSource,
+};
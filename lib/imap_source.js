@@ -0,0 +1,173 @@
+// IMAP (iCloud) backend for the MailSource interface (see lib/mail_source.js).
+//
+// SECURITY:
+// - Do NOT hardcode iCloud credentials. Use environment variables (.env).
+
+const { ImapFlow } = require('imapflow');
+const { parseHeaderBlock, rfc822ToBody } = require('./mime');
+const { formatAddressList, RCPT_HEADERS } = require('./recipients');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function imapConfigFromEnv(env = process.env) {
+  const host = env.ICLOUD_HOST || 'imap.mail.me.com';
+  return {
+    user: env.ICLOUD_USER || '', // Apple ID email
+    pass: env.ICLOUD_APP_PASSWORD || '', // app-specific password
+    host,
+    port: Number(env.ICLOUD_PORT || 993),
+    secure: String(env.ICLOUD_SECURE || 'true') === 'true',
+    mailbox: env.ICLOUD_MAILBOX || 'INBOX',
+    // WARNING: keep true for security; set false only if you must debug cert issues
+    rejectUnauthorized: String(env.IMAP_REJECT_UNAUTHORIZED || 'true') === 'true',
+  };
+}
+
+function toMailHeaders(msg) {
+  const env = msg.envelope || {};
+  const extra = msg.headers ? parseHeaderBlock(msg.headers.toString('utf-8'), { multi: true }) : {};
+  const internalDate = msg.internalDate ? new Date(msg.internalDate) : null;
+  const date = env.date ? new Date(env.date) : internalDate;
+
+  return {
+    id: msg.uid,
+    subject: (env.subject || '').trim(),
+    from: formatAddressList(env.from),
+    to: formatAddressList(env.to),
+    date,
+    internalDate: internalDate || date,
+    messageId: env.messageId || '',
+    headers: extra,
+  };
+}
+
+function createImapSource(config = imapConfigFromEnv()) {
+  if (!config.user || !config.pass) {
+    throw new Error('Missing ICLOUD_USER / ICLOUD_APP_PASSWORD in .env');
+  }
+
+  const client = new ImapFlow({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: { user: config.user, pass: config.pass },
+    disableCompression: true,
+    tls: {
+      rejectUnauthorized: config.rejectUnauthorized,
+      servername: config.host,
+    },
+    logger: false,
+  });
+
+  // uid -> headers, filled by search() so fetchHeaders() is free afterwards
+  const headerCache = new Map();
+  let opened = false;
+
+  async function open() {
+    if (opened) return;
+    await client.connect();
+    await client.mailboxOpen(config.mailbox);
+    opened = true;
+  }
+
+  async function fetchEnvelopes(range) {
+    const out = [];
+    // Forwarding / relay headers next to the ENVELOPE (recipient resolution)
+    const query = { envelope: true, internalDate: true, headers: RCPT_HEADERS };
+    for await (const msg of client.fetch(range, query, { uid: true })) {
+      const h = toMailHeaders(msg);
+      headerCache.set(h.id, h);
+      out.push(h);
+    }
+    return out;
+  }
+
+  // IMAP SINCE/BEFORE are day-level, so we widen the server search
+  // and then filter precisely by internalDate + subject on our side.
+  async function search({ subjects = [], since, until } = {}) {
+    await open();
+
+    const criteria = {};
+    if (since) criteria.since = since;
+    if (until) criteria.before = new Date(until.getTime() + DAY_MS);
+    if (!since && !until) criteria.all = true;
+
+    const uids = await client.search(criteria, { uid: true });
+    if (!uids.length) return [];
+
+    const list = await fetchEnvelopes(uids);
+    return list
+      .filter(h => !since || !h.internalDate || h.internalDate >= since)
+      .filter(h => !until || !h.internalDate || h.internalDate < until)
+      .filter(h => !subjects.length || subjects.some(s => h.subject.includes(s)))
+      .map(h => h.id);
+  }
+
+  // UIDs only mean something inside one UIDVALIDITY of one mailbox
+  async function checkpoint() {
+    await open();
+    return {
+      mailbox: config.mailbox,
+      uidValidity: String(client.mailbox.uidValidity),
+      lastUid: Number(client.mailbox.uidNext) - 1,
+    };
+  }
+
+  // Mail with UID > checkpoint.lastUid, filtered by subject.
+  // null when the mailbox changed or was rebuilt (UIDVALIDITY differs).
+  async function searchSince(cp, { subjects = [] } = {}) {
+    await open();
+    if (!cp || cp.mailbox !== config.mailbox || cp.uidValidity !== String(client.mailbox.uidValidity)) {
+      return null;
+    }
+
+    const lastUid = Number(cp.lastUid) || 0;
+    // "N:*" always matches the newest message, even when its UID < N
+    const uids = (await client.search({ uid: `${lastUid + 1}:*` }, { uid: true }))
+      .filter(uid => uid > lastUid);
+    if (!uids.length) return [];
+
+    const list = await fetchEnvelopes(uids);
+    return list
+      .filter(h => !subjects.length || subjects.some(s => h.subject.includes(s)))
+      .map(h => h.id);
+  }
+
+  async function fetchHeaders(uid) {
+    if (!headerCache.has(uid)) {
+      await open();
+      await fetchEnvelopes(String(uid));
+    }
+    return headerCache.get(uid);
+  }
+
+  async function fetchBody(uid) {
+    await open();
+    const msg = await client.fetchOne(String(uid), { source: true }, { uid: true });
+    // Buffer as-is: the decoder needs the raw bytes for Shift_JIS / ISO-2022-JP
+    return rfc822ToBody(msg?.source);
+  }
+
+  async function close() {
+    if (opened && !client.closed) {
+      await client.logout().catch(() => {});
+    }
+  }
+
+  return {
+    provider: 'icloud',
+    account: config.name || config.user,
+    client,
+    search,
+    checkpoint,
+    searchSince,
+    fetchHeaders,
+    fetchBody,
+    close,
+  };
+}
+
+module.exports = {
+  imapConfigFromEnv,
+  createImapSource,
+};
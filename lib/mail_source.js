@@ -0,0 +1,146 @@
+// MailSource: one interface for every report, whatever the provider.
+//
+// A MailSource is a plain object:
+//   provider                   'gmail' | 'icloud'
+//   search({ subjects, since, until }) -> Promise<id[]>
+//       subjects: any-of substrings matched against Subject
+//       since/until: Date window (until is exclusive)
+//   fetchHeaders(id)           -> Promise<{ id, subject, from, to, date, internalDate, messageId, headers }>
+//       from/to are header-like strings ('Name <a@b.com>, c@d.com')
+//       headers is a lowercase-keyed map of extra headers (delivered-to, ...)
+//   fetchBody(id)              -> Promise<{ text, html }>  (decoded)
+//   checkpoint()               -> Promise<object>  current mailbox position (JSON-safe)
+//   searchSince(checkpoint, { subjects }) -> Promise<id[] | null>
+//       mail added after checkpoint; null = checkpoint unusable, do a full search()
+//       Gmail: historyId (ids of ANY subject) / IMAP: UIDVALIDITY + last UID
+//   concurrency                optional: fetchHeaders/fetchBody calls allowed in flight
+//   close()                    -> Promise<void>
+//
+// Backends: lib/gmail_source.js (Gmail API) and lib/imap_source.js (IMAP).
+
+const { authorize, isInvalidGrant, reauthError, TOKEN_PATH } = require('./gmail_auth');
+const { createGmailSource } = require('./gmail_source');
+const { withRetry } = require('./retry');
+const { createImapSource, imapConfigFromEnv } = require('./imap_source');
+const {
+  ICLOUD_ACCOUNTS_PATH,
+  GMAIL_TOKENS_DIR,
+  loadImapAccounts,
+  loadGmailAccounts,
+  findAccounts,
+} = require('./accounts');
+
+const PROVIDERS = ['gmail', 'icloud'];
+
+// options.gmail: Gmail  => one registered account (default: legacy token.json)
+// options.imap:  iCloud => one entry of the accounts file (default: .env)
+// source.account is the label used to tag report rows.
+async function createMailSource(provider, options = {}) {
+  if (provider === 'gmail') {
+    const entry = options.gmail || { tokenPath: TOKEN_PATH, legacy: true };
+    const auth = options.auth || await authorize({ tokenPath: entry.tokenPath, interactive: entry.legacy });
+    const source = createGmailSource({ auth });
+    const profile = await withRetry(() => source.gmail.users.getProfile({ userId: 'me' }), { label: 'getProfile' });
+    source.account = String(profile.data.emailAddress || '');
+    if (entry.user && source.account.toLowerCase() !== entry.user.toLowerCase()) {
+      throw new Error(`Gmail token ${entry.tokenPath} belongs to ${source.account}, not ${entry.user}`);
+    }
+    return source;
+  }
+  if (provider === 'icloud') {
+    return createImapSource(options.imap || imapConfigFromEnv());
+  }
+  throw new Error(`Unknown provider: ${provider} (expected ${PROVIDERS.join(' | ')})`);
+}
+
+// Open a source, run fn(source), always close it
+async function withMailSource(provider, fn, options = {}) {
+  const source = await createMailSource(provider, options);
+  try {
+    return await fn(source);
+  } finally {
+    await source.close();
+  }
+}
+
+// Configured accounts of a provider, as createMailSource() options
+function listAccounts(provider, wanted) {
+  if (provider === 'gmail') {
+    const accounts = findAccounts(loadGmailAccounts(), wanted);
+    if (!accounts.length) {
+      throw new Error(`No Gmail account "${wanted}" in ${GMAIL_TOKENS_DIR} (run: pokemon-mail auth --account ${wanted})`);
+    }
+    return accounts.map(gmail => ({ label: gmail.name, options: { gmail } }));
+  }
+
+  if (provider === 'icloud') {
+    const accounts = findAccounts(loadImapAccounts(), wanted);
+    if (!accounts.length) {
+      throw new Error(wanted
+        ? `No iCloud account "${wanted}" in ${ICLOUD_ACCOUNTS_PATH}`
+        : `No iCloud account: add ${ICLOUD_ACCOUNTS_PATH} or ICLOUD_USER / ICLOUD_APP_PASSWORD in .env`);
+    }
+    return accounts.map(imap => ({ label: imap.name, options: { imap } }));
+  }
+
+  throw new Error(`Unknown provider: ${provider} (expected ${PROVIDERS.join(' | ')})`);
+}
+
+// Run fn(source) once per configured account, one connection at a time.
+// - Gmail: every tokens/<name>.json (legacy token.json when none)
+// - iCloud: every entry of the accounts file
+// --account picks one. A failing account is logged and skipped; it only
+// throws when ALL fail. A revoked Gmail token reports how to re-authorize it.
+async function withEachMailSource(provider, fn, options = {}) {
+  const accounts = listAccounts(provider, options.account);
+
+  const results = [];
+  const errors = [];
+  for (const { label, options: sourceOptions } of accounts) {
+    if (accounts.length > 1) console.log(`\n---------- account: ${label} ----------`);
+    try {
+      results.push(await withMailSource(provider, fn, sourceOptions));
+    } catch (e) {
+      const err = provider === 'gmail' && isInvalidGrant(e) ? reauthError(sourceOptions.gmail, e) : e;
+      console.error(`[ERROR] ${label}: ${err?.message || err}`);
+      errors.push(err);
+    }
+  }
+
+  if (!results.length && errors.length) throw errors[0];
+  return results;
+}
+
+// now - n days, same meaning as Gmail newer_than:Nd
+function daysAgo(n, now = Date.now()) {
+  return new Date(now - Number(n) * 24 * 60 * 60 * 1000);
+}
+
+// CLI time value -> Date
+// - relative: '30m', '12h', '7d' (back from now)
+// - absolute: anything Date can parse ('2025-11-01', '2025-11-01T09:00+09:00')
+function parseTimeArg(value, now = Date.now()) {
+  if (value == null || value === '') return undefined;
+
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([mhd])$/i);
+  if (m) {
+    const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[m[2].toLowerCase()];
+    return new Date(now - Number(m[1]) * unitMs);
+  }
+
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    throw new Error(`Invalid time: ${value} (use 7d / 12h / 30m or a date like 2025-11-01)`);
+  }
+  return d;
+}
+
+module.exports = {
+  PROVIDERS,
+  createMailSource,
+  withMailSource,
+  listAccounts,
+  withEachMailSource,
+  daysAgo,
+  parseTimeArg,
+};
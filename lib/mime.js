@@ -0,0 +1,133 @@
+// NOTE: Code comments are in English as requested.
+
+// MIME / body decoding helpers shared by the Gmail API and IMAP backends.
+// - Gmail API returns a parsed payload tree with base64url part bodies
+// - IMAP returns the raw RFC822 source, decoded by mailparser (parseRfc822)
+
+const { simpleParser } = require('mailparser');
+
+// ------------------------------------------------------
+// Gmail payload helpers
+// ------------------------------------------------------
+
+// Decode base64url (Gmail uses base64url); charset = the part's charset
+// (an unknown label falls back to UTF-8)
+function decodeBase64Url(data, charset = 'utf-8') {
+  if (!data) return '';
+  const b64 = data.replace(/-/g, '+').replace(/_/g, '/');
+  const pad = b64.length % 4 ? '='.repeat(4 - (b64.length % 4)) : '';
+  const bytes = Buffer.from(b64 + pad, 'base64');
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    return bytes.toString('utf-8');
+  }
+}
+
+// Charset from the part's Content-Type (Gmail keeps the original bytes:
+// ISO-2022-JP / Shift_JIS mails are not converted to UTF-8)
+function partCharset(part) {
+  const contentType = (part.headers || []).find(h => (h.name || '').toLowerCase() === 'content-type');
+  const m = /charset\s*=\s*"?([^";\s]+)/i.exec(contentType?.value || '');
+  return m ? m[1] : 'utf-8';
+}
+
+// Walk payload parts and collect text/plain (preferred) and text/html (fallback)
+function collectBodyTexts(payload) {
+  const out = { plain: [], html: [] };
+
+  function walk(part) {
+    if (!part) return;
+
+    const mime = (part.mimeType || '').toLowerCase();
+    const bodyData = part.body && part.body.data ? part.body.data : '';
+
+    if (mime === 'text/plain' && bodyData) out.plain.push(decodeBase64Url(bodyData, partCharset(part)));
+    if (mime === 'text/html' && bodyData) out.html.push(decodeBase64Url(bodyData, partCharset(part)));
+
+    const parts = part.parts || [];
+    for (const p of parts) walk(p);
+  }
+
+  walk(payload);
+  return out;
+}
+
+// ------------------------------------------------------
+// Raw RFC822 helpers (IMAP)
+// ------------------------------------------------------
+
+// Parse headers block into map (lowercased keys)
+// multi: repeated headers (Delivered-To...) joined with ', ' in order, else the last one wins
+function parseHeaderBlock(headerText, { multi = false } = {}) {
+  const lines = String(headerText || '').split(/\r?\n/);
+  // Handle folded headers
+  const unfolded = [];
+  for (const line of lines) {
+    if (/^\s/.test(line) && unfolded.length) {
+      unfolded[unfolded.length - 1] += ' ' + line.trim();
+    } else {
+      unfolded.push(line.trim());
+    }
+  }
+
+  const map = {};
+  for (const l of unfolded) {
+    const idx = l.indexOf(':');
+    if (idx === -1) continue;
+    const k = l.slice(0, idx).trim().toLowerCase();
+    const v = l.slice(idx + 1).trim();
+    map[k] = multi && map[k] ? `${map[k]}, ${v}` : v;
+  }
+  return map;
+}
+
+// The ONE decoder for raw IMAP messages (mailparser): transfer encodings
+// (base64 / quoted-printable), charsets (ISO-2022-JP, Shift_JIS, EUC-JP...),
+// nested multipart, encoded-word headers.
+// raw: the fetched Buffer as-is (toString('utf-8') first breaks 8bit Shift_JIS bodies)
+async function parseRfc822(raw) {
+  return simpleParser(raw || Buffer.alloc(0), { skipImageLinks: true, skipTextToHtml: true, skipTextLinks: true });
+}
+
+// Raw message -> { text, html } (same shape as the Gmail body, see bodyToText)
+async function rfc822ToBody(raw) {
+  if (!raw || !raw.length) return { text: '', html: '' };
+  const parsed = await parseRfc822(raw);
+  return { text: parsed.text || '', html: parsed.html ? String(parsed.html) : '' };
+}
+
+// ------------------------------------------------------
+// Text helpers
+// ------------------------------------------------------
+
+// Very light HTML to text fallback (not perfect, but practical)
+function htmlToText(html) {
+  if (!html) return '';
+  return html
+    .replace(/\r\n/g, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;/g, "'")
+    .replace(/&quot;/g, '"');
+}
+
+// Pick the text used by parsers: text/plain preferred, html->text as fallback
+function bodyToText(body) {
+  if (!body) return '';
+  const text = body.text || '';
+  return text.trim() ? text : htmlToText(body.html || '');
+}
+
+module.exports = {
+  decodeBase64Url,
+  collectBodyTexts,
+  parseHeaderBlock,
+  parseRfc822,
+  rfc822ToBody,
+  htmlToText,
+  bodyToText,
+};
@@ -0,0 +1,183 @@
+// Who may call the passcode bridge (lib/otp/index.js).
+//
+// bridge_keys.json (or BRIDGE_KEYS_FILE in .env), re-read when it changes:
+//   {
+//     "keys": [
+//       { "name": "ops", "key": "long-random-string" },
+//       { "name": "worker1", "key": "...", "recipients": ["a@icloud.com", "@privaterelay.appleid.com"] }
+//     ],
+//     "origins": ["http://localhost:3000"]
+//   }
+// BRIDGE_API_KEY in .env = one more key (name "env", every recipient),
+// BRIDGE_CORS_ORIGINS = more origins (comma separated).
+//
+// A request carries ONE of:
+//   X-Api-Key: <key>   or   Authorization: Bearer <key>
+//   X-Bridge-Key: <name> + X-Bridge-Timestamp: <ms> + X-Bridge-Signature:
+//     hex HMAC-SHA256(key, "<timestamp>\n<METHOD>\n<path?query>"),
+//     timestamp within SIGNATURE_SKEW_MS of the bridge clock; a signature is
+//     accepted once (replayed_signature after that). Optional X-Bridge-Nonce:
+//     signed as "...\n<nonce>", for 2 identical requests in the same ms.
+// Keys never go in the URL (it ends up in logs / browser history).
+//
+// - A request with an Origin header (a web page) is refused unless the origin
+//   is listed, key or not. No Origin (curl, workers) = no CORS headers.
+// - "recipients": the key only gets /code and /route for those addresses
+//   (address, alias owner or "@domain"), plus /health and /code/ack (the
+//   server checks the acked delivery's address). Its /code never takes a mail
+//   whose recipients are unknown (matchCode strictRecipients).
+// - No key configured = every request is refused; BRIDGE_AUTH=off turns the
+//   checks off (local testing only).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { canonicalEmail } = require('../email');
+const { ownerOf } = require('../recipients');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const KEYS_PATH = path.resolve(ROOT_DIR, process.env.BRIDGE_KEYS_FILE || 'bridge_keys.json');
+const AUTH_DISABLED = String(process.env.BRIDGE_AUTH || '').toLowerCase() === 'off';
+const SIGNATURE_SKEW_MS = 5 * 60 * 1000;
+
+// Paths a recipient-scoped key may call
+const SCOPED_PATHS = ['/health', '/code', '/route', '/code/ack'];
+
+// ======================================================
+// Keys file (re-read when the file changes)
+// ======================================================
+const keysCache = { filePath: '', mtimeMs: -1, auth: null };
+
+function splitList(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function scopeKey(value) {
+  const s = String(value).trim();
+  return s.startsWith('@') ? s.toLowerCase() : canonicalEmail(s);
+}
+
+// -> { enabled, keys: [{ name, key, recipients: Set | null }], origins: Set }
+function loadAuth(filePath = KEYS_PATH) {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  } catch {
+    // no keys file: BRIDGE_API_KEY only
+  }
+  if (keysCache.filePath === filePath && keysCache.mtimeMs === mtimeMs) return keysCache.auth;
+
+  let raw = {};
+  if (mtimeMs) {
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Invalid keys file ${filePath}: ${e.message}`);
+    }
+  }
+
+  const keys = (raw.keys || []).map((k, i) => {
+    if (!k || !k.key) throw new Error(`Invalid keys file ${filePath}: entry #${i + 1} needs "key"`);
+    return {
+      name: String(k.name || `key${i + 1}`),
+      key: String(k.key),
+      recipients: Array.isArray(k.recipients) ? new Set(k.recipients.map(scopeKey)) : null,
+    };
+  });
+  if (process.env.BRIDGE_API_KEY) {
+    keys.push({ name: 'env', key: process.env.BRIDGE_API_KEY, recipients: null });
+  }
+
+  const auth = {
+    enabled: !AUTH_DISABLED,
+    keys,
+    origins: new Set([...(raw.origins || []), ...splitList(process.env.BRIDGE_CORS_ORIGINS)]),
+  };
+  Object.assign(keysCache, { filePath, mtimeMs, auth });
+  return auth;
+}
+
+// ======================================================
+// Checks
+// ======================================================
+// Signatures seen within SIGNATURE_SKEW_MS: signature -> timestamp
+const seenSignatures = new Map();
+
+// true the first time a signature is seen (older ones can no longer pass the skew check)
+function firstUse(signature, timestamp, now) {
+  for (const [s, ts] of seenSignatures) {
+    if (Math.abs(now - ts) > SIGNATURE_SKEW_MS) seenSignatures.delete(s);
+  }
+  if (seenSignatures.has(signature)) return false;
+  seenSignatures.set(signature, timestamp);
+  return true;
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function signRequest(key, { timestamp, method, url, nonce = '' }) {
+  const payload = `${timestamp}\n${method}\n${url}${nonce ? `\n${nonce}` : ''}`;
+  return crypto.createHmac('sha256', key).update(payload).digest('hex');
+}
+
+// Origin header -> allowed? (no Origin = not a browser page)
+function originAllowed(auth, origin) {
+  return !origin || !auth.enabled || auth.origins.has(origin);
+}
+
+/**
+ * req -> { ok: true, key } | { ok: false, error }
+ * key = null when auth is off.
+ */
+function authenticate(auth, req, now = Date.now()) {
+  if (!auth.enabled) return { ok: true, key: null };
+  if (!auth.keys.length) return { ok: false, error: 'auth_not_configured' };
+
+  const h = req.headers;
+  const bearer = /^Bearer\s+(.+)$/i.exec(h.authorization || '');
+  const presented = h['x-api-key'] || bearer?.[1];
+  if (presented) {
+    const key = auth.keys.find(k => safeEqual(k.key, presented));
+    return key ? { ok: true, key } : { ok: false, error: 'invalid_key' };
+  }
+
+  const name = h['x-bridge-key'];
+  const signature = h['x-bridge-signature'];
+  if (name && signature) {
+    const timestamp = Number(h['x-bridge-timestamp'] || 0);
+    if (!timestamp || Math.abs(now - timestamp) > SIGNATURE_SKEW_MS) return { ok: false, error: 'stale_signature' };
+
+    const key = auth.keys.find(k => k.name === name);
+    const nonce = h['x-bridge-nonce'] || '';
+    const expected = key && signRequest(key.key, { timestamp, method: req.method, url: req.url, nonce });
+    if (!key || !safeEqual(expected, String(signature).toLowerCase())) return { ok: false, error: 'invalid_signature' };
+    if (!firstUse(expected, timestamp, now)) return { ok: false, error: 'replayed_signature' };
+    return { ok: true, key };
+  }
+
+  return { ok: false, error: 'missing_key' };
+}
+
+// Scoped key: only its paths, and (for /code, /route) only its recipients
+function keyAllows(key, pathname, want) {
+  if (!key?.recipients) return true;
+  if (!SCOPED_PATHS.includes(pathname)) return false;
+  if (pathname === '/health' || pathname === '/code/ack') return true;
+  if (!want) return false;
+
+  const domain = want.slice(want.lastIndexOf('@') + 1);
+  return [want, canonicalEmail(ownerOf(want)), `@${domain}`].some(k => key.recipients.has(k));
+}
+
+module.exports = {
+  KEYS_PATH,
+  loadAuth,
+  signRequest,
+  originAllowed,
+  authenticate,
+  keyAllows,
+};
@@ -0,0 +1,67 @@
+// Settings + helpers shared by the passcode backends (lib/otp/gmail.js, lib/otp/imap.js).
+
+const { extractFields } = require('../rules');
+const { canonicalEmail } = require('../email');
+
+// Strict time window for code (minutes)
+const LAST_MINUTES = Number(process.env.LAST_MINUTES || 5);
+
+// Wider search window (minutes) to handle indexing / delivery delays
+const QUERY_MINUTES = Number(process.env.QUERY_MINUTES || 60);
+
+// How many newest messages to scan for code
+const CODE_SCAN_LIMIT = Number(process.env.CODE_SCAN_LIMIT || 20);
+
+// Long-poll (/code?wait=): upper bound of wait (seconds) + background scan interval
+const CODE_MAX_WAIT = Number(process.env.CODE_MAX_WAIT || 120);
+const CODE_POLL_SECONDS = Number(process.env.CODE_POLL_SECONDS || 5);
+
+// Debug logs
+const DEBUG = String(process.env.DEBUG || '1') === '1';
+
+function log(...args) {
+  if (DEBUG) console.log(...args);
+}
+
+function toIso(ms) {
+  try {
+    return new Date(Number(ms || 0)).toISOString();
+  } catch {
+    return null;
+  }
+}
+
+// Passcode patterns: rules.json "otp" extract.code (tried in order)
+function extractCode(rule, text) {
+  if (!text) return null;
+  return extractFields(rule, text).code || null;
+}
+
+/**
+ * /code request -> { want, minTs } (lib/code_wait.js matchCode): only mails
+ * newer than BOTH
+ * - afterTs (client started polling; a future value is clamped to now)
+ * - now - LAST_MINUTES
+ */
+function codeQuery({ toEmail = '', afterTs = 0 }, now = Date.now()) {
+  let after = Number(afterTs || 0);
+  if (after > now + 60_000) {
+    log('[WARN] afterTs is in the future, clamping', { after, now });
+    after = now;
+  }
+
+  const lastWindowTs = now - LAST_MINUTES * 60 * 1000;
+  return { want: canonicalEmail(toEmail), minTs: Math.max(after, lastWindowTs) };
+}
+
+module.exports = {
+  LAST_MINUTES,
+  QUERY_MINUTES,
+  CODE_SCAN_LIMIT,
+  CODE_MAX_WAIT,
+  CODE_POLL_SECONDS,
+  log,
+  toIso,
+  extractCode,
+  codeQuery,
+};
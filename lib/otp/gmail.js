@@ -0,0 +1,252 @@
+// Gmail API passcode backend (one OAuth account), see lib/otp/index.js.
+//
+// - Uses the account's OAuth token file + credentials json, no passwords
+// - Token revoked (invalid_grant): /code and /recent answer 401
+//   { error: 'reauth_required' } without calling Google, health reports
+//   auth: 'reauth_required'; rewriting the token file is picked up, no restart
+// - Fetched mails are kept by id, so a scan only downloads the mails that are new
+// - Headers / bodies are read with the report helpers (lib/gmail_source.js,
+//   lib/mime.js: every text part, in its charset); Google calls retry 429 / 5xx
+//   (lib/retry.js)
+
+const fs = require('fs');
+const { google } = require('googleapis');
+const { authorize, isInvalidGrant, reauthError, TOKEN_PATH } = require('../gmail_auth');
+const { getRule, matchMail } = require('../rules');
+const { RCPT_HEADERS, recipientPool } = require('../recipients');
+const { getHeader, headerMap } = require('../gmail_source');
+const { collectBodyTexts, bodyToText } = require('../mime');
+const { withRetry } = require('../retry');
+const { matchCode, createCodeWaiter } = require('../code_wait');
+const { QUERY_MINUTES, CODE_SCAN_LIMIT, CODE_POLL_SECONDS, log: debugLog, extractCode } = require('./common');
+
+// Gmail q for the rule's subjects (any-of); none = time window only
+function subjectQuery(rule) {
+  const subjects = rule.searchSubjects;
+  if (!subjects.length) return '';
+  return ` {${subjects.map(sub => `subject:"${sub}"`).join(' ')}}`;
+}
+
+// entry: lib/accounts.js loadGmailAccounts() entry { name, user, tokenPath, legacy }
+function createGmailBackend(entry = { name: 'default', tokenPath: TOKEN_PATH, legacy: true }, { tag = '' } = {}) {
+  const name = entry.name || 'default';
+  const log = tag ? (...args) => debugLog(`[${tag}]`, ...args) : debugLog;
+  // Mailbox address: from the token file, confirmed by getProfile on start()
+  let account = entry.user || '';
+
+  // One client per token file version: access tokens are refreshed in place
+  // (and saved back by lib/gmail_auth), a rewritten token file starts a new client.
+  const authState = { mtimeMs: 0, gmail: null, reauth: null, lastError: '' };
+
+  function tokenMtime() {
+    try {
+      return fs.statSync(entry.tokenPath).mtimeMs;
+    } catch {
+      return 0;
+    }
+  }
+
+  async function gmailClient() {
+    const mtimeMs = tokenMtime();
+    if (mtimeMs !== authState.mtimeMs) {
+      authState.mtimeMs = mtimeMs;
+      authState.gmail = null;
+      authState.reauth = null;
+    }
+
+    if (authState.reauth) throw authState.reauth;
+    if (!authState.gmail) {
+      const auth = await authorize({ tokenPath: entry.tokenPath, interactive: false });
+      // retry: false = withRetry() is the only retry (see lib/gmail_source.js)
+      authState.gmail = google.gmail({ version: 'v1', auth, retry: false });
+    }
+    return authState.gmail;
+  }
+
+  // Remember a revoked token until the token file changes
+  function checkAuthError(e) {
+    if (!isInvalidGrant(e)) return e;
+    authState.gmail = null;
+    authState.reauth = reauthError(entry, e);
+    console.error(`[AUTH] ${authState.reauth.message}`);
+    return authState.reauth;
+  }
+
+  // Every Google call: a revoked token becomes the REAUTH_REQUIRED error
+  async function guarded(fn) {
+    try {
+      const r = await fn(await gmailClient());
+      authState.lastError = '';
+      return r;
+    } catch (e) {
+      const err = checkAuthError(e);
+      authState.lastError = String(err?.message || err);
+      throw err;
+    }
+  }
+
+  async function listRecent({ limit = 10 }) {
+    return guarded(async gmail => {
+      const rule = getRule('otp');
+
+      // Broad list (last QUERY_MINUTES minutes), filter by subject in code
+      const res = await withRetry(() => gmail.users.messages.list({
+        userId: 'me',
+        q: `newer_than:${QUERY_MINUTES}m`,
+        maxResults: Math.min(Math.max(limit, 1), 50),
+      }), { label: 'messages.list' });
+
+      const messages = res.data.messages || [];
+      const out = [];
+
+      for (const m of messages) {
+        const msg = await withRetry(() => gmail.users.messages.get({
+          userId: 'me',
+          id: m.id,
+          format: 'metadata',
+          metadataHeaders: ['Subject', 'From', 'To', 'Cc', 'Date', ...RCPT_HEADERS],
+        }), { label: 'messages.get' });
+
+        const headers = msg.data.payload?.headers || [];
+        const subject = getHeader(headers, 'Subject').trim();
+        const from = getHeader(headers, 'From').trim();
+
+        if (!matchMail(rule, { subject, from })) continue;
+
+        out.push({
+          id: m.id,
+          internalDate: new Date(Number(msg.data.internalDate || 0)).toISOString(),
+          subject,
+          from,
+          to: getHeader(headers, 'To'),
+          deliveredTo: getHeader(headers, 'Delivered-To'),
+          xOriginalTo: getHeader(headers, 'X-Original-To'),
+          recipients: recipientPool({ to: getHeader(headers, 'To'), cc: getHeader(headers, 'Cc'), headers: headerMap(headers) }),
+        });
+
+        if (out.length >= limit) break;
+      }
+
+      return out;
+    });
+  }
+
+  // Fetched mails by id (a mail never changes); dropped once out of the query window
+  const messageCache = new Map();
+
+  async function fetchMessage(gmail, id) {
+    if (messageCache.has(id)) return messageCache.get(id);
+
+    const msg = await withRetry(() => gmail.users.messages.get({
+      userId: 'me',
+      id,
+      format: 'full',
+    }), { label: 'messages.get' });
+    const headers = msg.data.payload?.headers || [];
+    const bodies = collectBodyTexts(msg.data.payload);
+    const m = {
+      id,
+      internalDate: Number(msg.data.internalDate || 0),
+      subject: getHeader(headers, 'Subject').trim(),
+      from: getHeader(headers, 'From').trim(),
+      headers: headerMap(headers),
+      snippet: msg.data.snippet || '',
+      bodyText: bodyToText({ text: bodies.plain.join('\n'), html: bodies.html.join('\n') }),
+    };
+    messageCache.set(id, m);
+    return m;
+  }
+
+  function pruneCache(now = Date.now()) {
+    const oldest = now - QUERY_MINUTES * 60 * 1000;
+    for (const [id, m] of messageCache) {
+      if (m.internalDate && m.internalDate < oldest) messageCache.delete(id);
+    }
+  }
+
+  /**
+   * Passcode candidates (lib/code_wait.js), newest first: messages of the
+   * QUERY_MINUTES window matching the "otp" rule (minTs is applied by matchCode).
+   * Rules / aliases are applied on every scan (only the fetched mail is cached).
+   */
+  async function scanCode() {
+    return guarded(async gmail => {
+      const rule = getRule('otp');
+
+      // Search by subject, widen time window to handle indexing delays
+      const q = `newer_than:${QUERY_MINUTES}m${subjectQuery(rule)}`;
+
+      const listRes = await withRetry(() => gmail.users.messages.list({
+        userId: 'me',
+        q,
+        maxResults: CODE_SCAN_LIMIT,
+      }), { label: 'messages.list' });
+      pruneCache();
+
+      const candidates = [];
+      for (const { id } of listRes.data.messages || []) {
+        const m = await fetchMessage(gmail, id);
+        if (!matchMail(rule, m)) continue;
+
+        // To / Cc / Delivered-To / X-Original-To / X-Forwarded-To / Resent-To,
+        // aliases count for their owning account ([] = no info: accepted)
+        const recipients = recipientPool({ to: m.headers.to, cc: m.headers.cc, headers: m.headers });
+
+        // Try snippet first, then the decoded body
+        let code = extractCode(rule, m.snippet);
+        let where = 'snippet';
+        if (!code) {
+          code = extractCode(rule, m.bodyText);
+          where = 'body';
+        }
+        candidates.push({ id, internalDate: m.internalDate, recipients, code, where });
+      }
+
+      return candidates.sort((a, b) => b.internalDate - a.internalDate);
+    });
+  }
+
+  async function getCode(query) {
+    return matchCode(await scanCode(query), query);
+  }
+
+  const codeWaiter = createCodeWaiter({ scan: scanCode, intervalMs: CODE_POLL_SECONDS * 1000, log });
+
+  // Learn the mailbox address (routing by account); a failure only shows in health()
+  async function start() {
+    try {
+      const profile = await guarded(gmail => withRetry(() => gmail.users.getProfile({ userId: 'me' }), { label: 'getProfile' }));
+      account = String(profile.data.emailAddress || account);
+      log(`[GMAIL] ${name}: ${account}`);
+    } catch (e) {
+      log(`[GMAIL] ${name}: ${authState.lastError}`);
+    }
+  }
+
+  function health() {
+    return {
+      ok: !authState.reauth && !authState.lastError,
+      provider: 'gmail-api',
+      account,
+      auth: authState.reauth ? 'reauth_required' : 'ok',
+      waiting: codeWaiter.size(),
+      lastError: authState.lastError || null,
+    };
+  }
+
+  return {
+    id: `gmail:${name}`,
+    kind: 'gmail',
+    name,
+    account: () => account,
+    start,
+    health,
+    listRecent,
+    getCode,
+    wait: (query, options) => codeWaiter.wait(query, options),
+  };
+}
+
+module.exports = {
+  createGmailBackend,
+};
@@ -0,0 +1,486 @@
+// iCloud IMAP passcode backend (one account), see lib/otp/index.js.
+//
+// Notes:
+// - iCloud has no Gmail-like REST API, so we use IMAP.
+// - Uses App-Specific Password (recommended when 2FA enabled).
+//
+// IDLE watcher (ICLOUD_IDLE=1, default):
+// - ONE persistent connection in IDLE (reconnect with backoff, 1s .. 60s);
+//   every new ログイン用パスコード mail is parsed as it arrives into an
+//   in-memory cache indexed by recipient (kept LAST_MINUTES).
+// - /code answers from the cache; only a cache miss scans the mailbox, and
+//   that scan runs on the watcher's connection (no new login) while it is up.
+//
+// IMAP round-trips per scan:
+//   UID SEARCH SINCE + SUBJECT (server side, literal rule subjects only)
+//   -> ONE UID FETCH (envelope + internalDate + Delivered-To / X-Original-To /
+//      X-Forwarded-To / Resent-To) for all hits
+//   -> mails for other recipients (known from those headers) are dropped
+//   -> body download newest first (once per UID); /code stops at the first
+//      mail that answers it, a long-poll round at the waited-for recipients
+//
+// SECURITY:
+// - Do NOT hardcode iCloud credentials. Use environment variables (.env) or
+//   the accounts file (lib/accounts.js).
+
+const { ImapFlow } = require('imapflow');
+const { parseHeaderBlock, parseRfc822 } = require('../mime');
+const { formatAddressList, RCPT_HEADERS, recipientPool } = require('../recipients');
+const { matchCode, createCodeCache, createCodeWaiter } = require('../code_wait');
+const { getRule, matchMail } = require('../rules');
+const { LAST_MINUTES, QUERY_MINUTES, CODE_SCAN_LIMIT, CODE_POLL_SECONDS, log: debugLog, toIso, extractCode } = require('./common');
+
+// IDLE watcher (persistent connection + OTP cache); 0 = login per request
+const ICLOUD_IDLE = String(process.env.ICLOUD_IDLE || '1') === '1';
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+
+// mailparser AddressObject (or raw header text) -> header-like string
+function addressText(addressObjOrText) {
+  if (!addressObjOrText) return '';
+  if (typeof addressObjOrText === 'string') return addressObjOrText;
+  if (Array.isArray(addressObjOrText)) return addressObjOrText.map(addressText).join(', ');
+
+  // AddressObject: { value: [{ address, name }], text }
+  if (Array.isArray(addressObjOrText.value)) return formatAddressList(addressObjOrText.value);
+  return addressObjOrText.text || '';
+}
+
+function fmtAddrList(list) {
+  if (!Array.isArray(list) || !list.length) return '';
+  const a = list[0];
+  if (!a) return '';
+  const name = a.name || '';
+  const addr = a.address || '';
+  if (name && addr) return `${name} <${addr}>`;
+  return addr || name || '';
+}
+
+function codeFromParsed(rule, parsed) {
+  const text = parsed.text || '';
+  const html = parsed.html ? String(parsed.html) : '';
+
+  const code = extractCode(rule, text);
+  if (code) return { code, where: 'text' };
+
+  const code2 = extractCode(rule, `${text}\n${html}`);
+  return code2 ? { code: code2, where: 'parsed' } : null;
+}
+
+// Server-side SEARCH (SINCE is day-level, SUBJECT is a substring match).
+// Several literal subjects => OR; a regex subject => SINCE only (filtered below).
+// Falls back to SINCE only if the server rejects a UTF-8 SUBJECT search.
+// Returns UIDs, oldest first.
+async function searchCandidates(client, rule, since, log = debugLog) {
+  const subjects = rule.searchSubjects;
+  let uids;
+  try {
+    if (!subjects.length) uids = await client.search({ since }, { uid: true });
+    else if (subjects.length === 1) uids = await client.search({ since, subject: subjects[0] }, { uid: true });
+    else uids = await client.search({ since, or: subjects.map(subject => ({ subject })) }, { uid: true });
+  } catch (e) {
+    log('[WARN] subject_search_failed, fallback to SINCE only', String(e?.message || e));
+    uids = await client.search({ since }, { uid: true });
+  }
+  return (uids || []).sort((a, b) => a - b);
+}
+
+// ONE FETCH for the whole UID set; newest first by internalDate.
+// Subject / sender are re-checked here (and cover the SINCE-only fallback).
+async function fetchCandidates(client, rule, uids) {
+  if (!uids.length) return [];
+
+  const msgs = await client.fetchAll(
+    uids,
+    { envelope: true, internalDate: true, headers: RCPT_HEADERS },
+    { uid: true }
+  );
+
+  return msgs
+    .map(msg => ({
+      uid: msg.uid,
+      internalDateMs: msg.internalDate ? new Date(msg.internalDate).getTime() : 0,
+      subject: (msg.envelope?.subject || '').trim(),
+      envelope: msg.envelope || {},
+      headers: msg.headers ? parseHeaderBlock(msg.headers.toString('utf-8'), { multi: true }) : {},
+    }))
+    .filter(m => matchMail(rule, { subject: m.subject, from: formatAddressList(m.envelope.from) }))
+    .sort((a, b) => b.internalDateMs - a.internalDateMs);
+}
+
+// Full message (one UID FETCH BODY[])
+async function downloadParsed(client, uid) {
+  const msg = await client.fetchOne(String(uid), { source: true }, { uid: true });
+  return parseRfc822(msg?.source);
+}
+
+// config: lib/accounts.js loadImapAccounts() entry / imapConfigFromEnv()
+// { name, user, pass, host, port, secure, mailbox, rejectUnauthorized }
+function createImapBackend(config, { idle = ICLOUD_IDLE, tag = '' } = {}) {
+  const name = config.name || config.user || 'icloud';
+  const mailboxName = config.mailbox || 'INBOX';
+  const log = tag ? (...args) => debugLog(`[${tag}]`, ...args) : debugLog;
+
+  function newClient() {
+    if (!config.user || !config.pass) {
+      throw new Error(`iCloud account "${name}": missing user / app password (ICLOUD_USER / ICLOUD_APP_PASSWORD in .env, or the accounts file)`);
+    }
+
+    return new ImapFlow({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: { user: config.user, pass: config.pass },
+      // TLS options
+      tls: {
+        // WARNING: keep true for security; set false only if you must debug cert issues
+        rejectUnauthorized: config.rejectUnauthorized,
+        servername: config.host,
+      },
+      // Re-issue IDLE periodically: servers drop long-running IDLE commands
+      maxIdleTime: 5 * 60 * 1000,
+      logger: false,
+    });
+  }
+
+  // Run fn on the watcher's connection when it is up, else on a fresh login
+  async function withImap(fn) {
+    if (watcher.client) return await fn(watcher.client);
+
+    const client = newClient();
+    await client.connect();
+    try {
+      await client.mailboxOpen(mailboxName);
+      return await fn(client);
+    } finally {
+      try {
+        await client.logout();
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  async function listRecent({ limit = 10 }) {
+    const now = Date.now();
+    const since = new Date(now - QUERY_MINUTES * 60 * 1000);
+    const rule = getRule('otp');
+
+    return await withImap(async client => {
+      // Newest UIDs only; take more than limit because SINCE is day-level
+      const uids = await searchCandidates(client, rule, since, log);
+      const scan = uids.slice(-Math.min(Math.max(limit * 5, 20), 300));
+
+      const list = await fetchCandidates(client, rule, scan);
+      return list
+        .filter(m => !m.internalDateMs || m.internalDateMs >= since.getTime())
+        .slice(0, limit)
+        .map(m => ({
+          uid: m.uid,
+          internalDate: toIso(m.internalDateMs),
+          subject: m.subject,
+          from: fmtAddrList(m.envelope.from),
+          to: fmtAddrList(m.envelope.to),
+        }));
+    });
+  }
+
+  // Downloaded mails by UIDVALIDITY:UID (a mail never changes); dropped once
+  // out of the query window
+  const parsedCache = new Map();
+
+  async function downloadCached(client, m) {
+    const key = `${client.mailbox?.uidValidity || ''}:${m.uid}`;
+    if (!parsedCache.has(key)) {
+      const parsed = await downloadParsed(client, m.uid);
+      const hdr = parsed.headers || new Map();
+      const toHeader = String(hdr.get('to')?.text || hdr.get('to') || '');
+      parsedCache.set(key, {
+        internalDateMs: m.internalDateMs,
+        to: [addressText(parsed.to), addressText(parsed.bcc), toHeader].filter(Boolean).join(', '),
+        cc: addressText(parsed.cc),
+        text: parsed.text || '',
+        html: parsed.html ? String(parsed.html) : '',
+      });
+    }
+    return parsedCache.get(key);
+  }
+
+  function pruneCache(now = Date.now()) {
+    const oldest = now - QUERY_MINUTES * 60 * 1000;
+    for (const [key, p] of parsedCache) {
+      if (p.internalDateMs && p.internalDateMs < oldest) parsedCache.delete(key);
+    }
+  }
+
+  // ---- Recipients ----
+  // Aliases count for their owning account (lib/recipients.js).
+  // iCloud IMAP ENVELOPE often has empty "to": Delivered-To / X-Original-To /
+  // X-Forwarded-To / Resent-To came with the same FETCH; the parsed headers
+  // are used only when all are empty.
+  function headerPool(m) {
+    return recipientPool({
+      to: [formatAddressList(m.envelope.to), formatAddressList(m.envelope.bcc)].filter(Boolean).join(', '),
+      cc: formatAddressList(m.envelope.cc),
+      headers: m.headers,
+    });
+  }
+
+  // Fetched mail (fetchCandidates) -> passcode candidate (lib/code_wait.js); downloads the body
+  async function candidateOf(client, rule, m, pool = headerPool(m)) {
+    const { uid, internalDateMs } = m;
+    const p = await downloadCached(client, m);
+    const pool2 = pool.length ? pool : recipientPool({ to: p.to, cc: p.cc });
+    log('[INFO] rcpt_pool', { uid, pool: pool2, from: pool.length ? 'envelope' : 'parsed' });
+
+    // Still no recipient: rejected when ?to= is given, to avoid returning a wrong code
+    const recipients = pool2.length ? pool2 : null;
+
+    const hit = codeFromParsed(rule, p);
+    if (!hit) log('[MISS] no_code_in_message', { uid });
+    return { id: uid, internalDate: internalDateMs, recipients, code: hit?.code || null, where: hit?.where };
+  }
+
+  /**
+   * Passcode candidates (lib/code_wait.js), newest first: the newest
+   * CODE_SCAN_LIMIT mails matching the "otp" rule, newer than minTs.
+   * want / wants (null = any): mails whose headers name only other recipients
+   * are left out before their body is downloaded.
+   * stop(candidate) -> true = enough, download nothing older.
+   * Rules / aliases are applied on every scan (only the downloaded mail is cached).
+   */
+  async function scanCode({ minTs, want = '', wants = null }, stop = () => false) {
+    const targets = want ? [want] : wants;
+    const since = new Date(Date.now() - QUERY_MINUTES * 60 * 1000);
+    const rule = getRule('otp');
+    pruneCache();
+
+    return await withImap(async client => {
+      const uids = await searchCandidates(client, rule, since, log);
+      const newest = uids.slice(-CODE_SCAN_LIMIT);
+      const list = await fetchCandidates(client, rule, newest);
+
+      log('[INFO] scan_start', {
+        uidsTotal: uids.length,
+        scanCount: newest.length,
+        candidates: list.length,
+        minTs,
+        minTsIso: toIso(minTs),
+      });
+
+      const candidates = [];
+      for (const m of list) {
+        log('[SCAN]', { uid: m.uid, internalDateMs: m.internalDateMs, internalDateIso: toIso(m.internalDateMs), subject: m.subject });
+
+        if (m.internalDateMs && m.internalDateMs < minTs) {
+          log('[SKIP] too_old', { uid: m.uid, internalDateMs: m.internalDateMs, minTs });
+          continue;
+        }
+        const pool = headerPool(m);
+        if (targets && pool.length && !targets.some(t => pool.includes(t))) {
+          log('[SKIP] other_recipient', { uid: m.uid, pool });
+          continue;
+        }
+        const c = await candidateOf(client, rule, m, pool);
+        candidates.push(c);
+        if (stop(c)) break;
+      }
+      // Seen by the scan = known to later requests too
+      candidates.forEach(c => otpCache.add(c));
+      return candidates;
+    });
+  }
+
+  function logResult(query, r) {
+    if (r.found) log(`[HIT] code_from_${r.where}`, { want: query.want || '(none)', code: r.code });
+    else log('[MISS]', { want: query.want || '(none)', reason: r.reason });
+  }
+
+  // matchCode(scan, query) without downloading the mails older than the answer.
+  // Newest first, so the first candidate matchCode takes on its own is the answer;
+  // a miss is replayed over every candidate with nothing claimable (same reason, no claim).
+  async function scanMatch(query) {
+    let hit = null;
+    const candidates = await scanCode(query, c => {
+      const r = matchCode([c], query);
+      if (r.found) hit = r;
+      return r.found;
+    });
+    return hit || matchCode(candidates, { ...query, claim: query.claim && (() => false) });
+  }
+
+  // Cache first (IDLE watcher); scan the mailbox only on a miss
+  async function getCode(query) {
+    let r = matchCode(otpCache.candidatesFor(query.want), query);
+    if (r.found) r = { ...r, cached: true };
+    else r = await scanMatch(query);
+    logResult(query, r);
+    return r.found ? r : { ...r, minTsIso: toIso(query.minTs) };
+  }
+
+  // While the watcher is synced, new mail reaches the cache by itself: waiters
+  // read the cache (and are notified on arrival) instead of scanning
+  const codeWaiter = createCodeWaiter({
+    scan: query => (watcher.ready ? otpCache.candidatesFor() : scanCode(query)),
+    intervalMs: CODE_POLL_SECONDS * 1000,
+    log,
+  });
+
+  async function wait(query, options) {
+    const r = await codeWaiter.wait(query, options);
+    if (r.reason !== 'aborted') logResult(query, r);
+    return r;
+  }
+
+  // ======================================================
+  // IDLE watcher
+  // ======================================================
+  const otpCache = createCodeCache({ maxAgeMs: LAST_MINUTES * 60 * 1000 });
+
+  // client: connected + mailbox open (also used by withImap); ready: cache primed
+  const watcher = {
+    client: null,
+    ready: false,
+    lastUid: 0,
+    fingerprint: '',
+    backoffMs: RECONNECT_MIN_MS,
+    reconnects: 0,
+    lastError: '',
+    timer: null,
+    syncing: Promise.resolve(),
+  };
+
+  // New UIDs since the last sync -> cache (OTP mails only)
+  async function syncNew(client) {
+    const rule = getRule('otp');
+
+    // rules.json changed: cached candidates were parsed with the old rule
+    if (watcher.fingerprint !== rule.fingerprint) {
+      otpCache.clear();
+      watcher.fingerprint = rule.fingerprint;
+    }
+
+    const uids = ((await client.search({ uid: `${watcher.lastUid + 1}:*` }, { uid: true })) || [])
+      .filter(uid => uid > watcher.lastUid);
+    if (!uids.length) return;
+    watcher.lastUid = Math.max(...uids);
+
+    const minTs = Date.now() - LAST_MINUTES * 60 * 1000;
+    const list = await fetchCandidates(client, rule, uids);
+    let added = 0;
+    for (const m of list) {
+      if (m.internalDateMs && m.internalDateMs < minTs) continue;
+      otpCache.add(await candidateOf(client, rule, m));
+      added++;
+    }
+    if (added) {
+      log('[IDLE] cached', { added, cached: otpCache.size() });
+      codeWaiter.notify();
+    }
+  }
+
+  // Connect: prime the cache with the LAST_MINUTES window, then IDLE (imapflow
+  // idles by itself between commands) and sync on every EXISTS
+  async function connectWatcher() {
+    watcher.timer = null;
+
+    let client;
+    try {
+      client = newClient();
+    } catch (e) {
+      watcher.lastError = String(e?.message || e);
+      log('[IDLE] disabled:', watcher.lastError);
+      return;
+    }
+
+    client.on('error', e => {
+      watcher.lastError = String(e?.message || e);
+      log('[IDLE] error', watcher.lastError);
+    });
+    client.on('close', () => {
+      if (watcher.client !== client) return;
+      watcher.client = null;
+      watcher.ready = false;
+      log('[IDLE] connection closed');
+      scheduleReconnect();
+    });
+    client.on('exists', () => {
+      watcher.syncing = watcher.syncing
+        .then(() => syncNew(client))
+        .catch(e => log('[IDLE] sync_failed', String(e?.message || e)));
+    });
+
+    try {
+      await client.connect();
+      const mailbox = await client.mailboxOpen(mailboxName);
+
+      // Everything up to now comes from the priming scan
+      watcher.lastUid = Math.max(0, Number(mailbox.uidNext || 1) - 1);
+      watcher.client = client;
+      otpCache.clear();
+      watcher.fingerprint = getRule('otp').fingerprint;
+      await scanCode({ minTs: Date.now() - LAST_MINUTES * 60 * 1000 });
+
+      watcher.ready = true;
+      watcher.backoffMs = RECONNECT_MIN_MS;
+      watcher.lastError = '';
+      log('[IDLE] watching', { mailbox: mailboxName, lastUid: watcher.lastUid, cached: otpCache.size() });
+    } catch (e) {
+      watcher.lastError = String(e?.message || e);
+      log('[IDLE] connect_failed', watcher.lastError);
+      watcher.client = null;
+      watcher.ready = false;
+      client.close();
+      scheduleReconnect();
+    }
+  }
+
+  function scheduleReconnect() {
+    if (watcher.timer) return;
+    const delay = watcher.backoffMs;
+    watcher.backoffMs = Math.min(watcher.backoffMs * 2, RECONNECT_MAX_MS);
+    watcher.reconnects++;
+    log(`[IDLE] reconnect in ${delay / 1000}s`);
+    watcher.timer = setTimeout(connectWatcher, delay);
+  }
+
+  function start() {
+    if (idle) connectWatcher();
+  }
+
+  // ok = usable right now (watcher up, or login per request without a known error)
+  function health() {
+    return {
+      ok: idle ? watcher.ready : Boolean(config.user && config.pass),
+      provider: 'icloud-imap',
+      account: config.user || '',
+      mailbox: mailboxName,
+      waiting: codeWaiter.size(),
+      idle: {
+        enabled: idle,
+        connected: Boolean(watcher.client),
+        ready: watcher.ready,
+        cached: otpCache.size(),
+        reconnects: watcher.reconnects,
+        lastError: watcher.lastError || null,
+      },
+      tls: { rejectUnauthorized: config.rejectUnauthorized },
+    };
+  }
+
+  return {
+    id: `icloud:${name}`,
+    kind: 'icloud',
+    name,
+    account: () => config.user || '',
+    start,
+    health,
+    listRecent,
+    getCode,
+    wait,
+  };
+}
+
+module.exports = {
+  createImapBackend,
+};
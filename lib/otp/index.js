@@ -0,0 +1,411 @@
+// Passcode bridge: one HTTP API over one or more backends (Gmail OAuth
+// accounts, IMAP accounts). server.js / server_icloud.js serve a single
+// backend, bridge.js every configured account at once.
+//
+// A backend (lib/otp/gmail.js, lib/otp/imap.js) is a plain object:
+//   id          'gmail:<name>' | 'icloud:<name>'
+//   kind, name
+//   account()   mailbox address ('' while unknown)
+//   start()     connect / watch (optional work, never throws)
+//   health()    -> { ok, provider, account, ... }
+//   listRecent({ limit }) -> Promise<[{ internalDate, subject, ... }]>
+//   getCode(query)        -> Promise<matchCode() result> (lib/code_wait.js);
+//                            query.claim must reach matchCode (consume=1, /code/ack)
+//   wait(query, { timeoutMs, signal }) -> same, long-poll
+//
+// Which backends answer /code?to=<address> (first rule that gives any):
+//   1. bridge_routes.json (or BRIDGE_ROUTES_FILE in .env), address or "@domain":
+//        { "shop1@gmail.com": "gmail:shop1", "@privaterelay.appleid.com": "icloud:main",
+//          "@outlook.jp": ["gmail:collector", "icloud:main"] }
+//      values: backend id, account name or mailbox address (or a list).
+//      The alias owner (aliases.json) is looked up too. Holds account
+//      addresses: git-ignored (bridge_routes.example.json).
+//   2. the backend whose mailbox IS that address (or its alias owner)
+//   3. the domain: icloud.com / me.com / mac.com -> iCloud, gmail.com -> Gmail
+//   4. every backend (forwarded mail can land anywhere), newest code wins
+// No ?to= = every backend.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { canonicalEmail } = require('../email');
+const { ownerOf } = require('../recipients');
+const { getRule } = require('../rules');
+const { parseWait, createDeliveryLog } = require('../code_wait');
+const { listReminders, parseHours, parseDays } = require('../../reports/reminders');
+const { LAST_MINUTES, QUERY_MINUTES, CODE_MAX_WAIT, CODE_POLL_SECONDS, log, toIso, codeQuery } = require('./common');
+const { KEYS_PATH, loadAuth, originAllowed, authenticate, keyAllows } = require('./auth');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const ROUTES_PATH = path.resolve(ROOT_DIR, process.env.BRIDGE_ROUTES_FILE || 'bridge_routes.json');
+
+const KIND_DOMAINS = {
+  icloud: ['icloud.com', 'me.com', 'mac.com'],
+  gmail: ['gmail.com'],
+};
+
+// ======================================================
+// Routes (re-read when the file changes)
+// ======================================================
+const routesCache = { filePath: '', mtimeMs: -1, routes: new Map() };
+
+// canonical address / '@domain' -> [backend spec]
+function loadRoutes(filePath = ROUTES_PATH) {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  } catch {
+    // no routes file: automatic routing only
+  }
+  if (routesCache.filePath === filePath && routesCache.mtimeMs === mtimeMs) return routesCache.routes;
+
+  const routes = new Map();
+  if (mtimeMs) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Invalid routes file ${filePath}: ${e.message}`);
+    }
+    for (const [key, value] of Object.entries(raw)) {
+      const k = key.startsWith('@') ? key.toLowerCase() : canonicalEmail(key);
+      routes.set(k, (Array.isArray(value) ? value : [value]).map(String));
+    }
+  }
+
+  Object.assign(routesCache, { filePath, mtimeMs, routes });
+  return routes;
+}
+
+// ======================================================
+// Router
+// ======================================================
+function createRouter(backends, { routesPath = ROUTES_PATH } = {}) {
+  // Handed-out codes (consume=1, /code/ack); mails older than QUERY_MINUTES are never scanned
+  const deliveries = createDeliveryLog({ maxAgeMs: QUERY_MINUTES * 60 * 1000 });
+  const byAccount = () => new Map(backends.filter(b => b.account()).map(b => [canonicalEmail(b.account()), b]));
+
+  // spec: id / name / mailbox address
+  function findBackend(spec) {
+    const s = String(spec).toLowerCase();
+    const b = backends.find(x => x.id.toLowerCase() === s || x.name.toLowerCase() === s)
+      || byAccount().get(canonicalEmail(spec));
+    if (!b) throw new Error(`Unknown backend "${spec}" in ${routesPath} (${backends.map(x => x.id).join(', ')})`);
+    return b;
+  }
+
+  // want (canonical) -> { backends, via }
+  function route(want) {
+    if (!want || backends.length === 1) return { backends, via: 'all' };
+
+    const owner = canonicalEmail(ownerOf(want));
+    const domain = want.slice(want.lastIndexOf('@') + 1);
+    const routes = loadRoutes(routesPath);
+
+    for (const key of [want, owner, `@${domain}`]) {
+      if (routes.has(key)) return { backends: [...new Set(routes.get(key).map(findBackend))], via: `routes:${key}` };
+    }
+
+    const accounts = byAccount();
+    const own = accounts.get(want) || accounts.get(owner);
+    if (own) return { backends: [own], via: 'account' };
+
+    const kind = Object.keys(KIND_DOMAINS).find(k => KIND_DOMAINS[k].includes(domain));
+    const ofKind = backends.filter(b => b.kind === kind);
+    if (ofKind.length) return { backends: ofKind, via: `domain:${domain}` };
+
+    return { backends, via: 'all' };
+  }
+
+  // Newest found code over the routed backends; a miss lists every backend's reason.
+  // Throws only when every backend failed (so none claimed anything).
+  function pick(targets, settled, via) {
+    const found = [];
+    const misses = {};
+    for (const [i, s] of settled.entries()) {
+      const id = targets[i].id;
+      if (s.status === 'rejected') misses[id] = String(s.reason?.message || s.reason);
+      else if (s.value.found) found.push({ ...s.value, backend: id });
+      else misses[id] = s.value.reason;
+    }
+
+    if (found.length) return { ...found.sort((a, b) => (b.internalDate || 0) - (a.internalDate || 0))[0], via };
+
+    const ok = settled.find(s => s.status === 'fulfilled');
+    if (!ok) throw settled[0].reason;
+    return targets.length > 1 ? { ...ok.value, via, backends: misses } : { ...ok.value, via };
+  }
+
+  // One request's claims (lib/code_wait.js createDeliveryLog), by backend id
+  function claimsFor(query, consume) {
+    const handles = new Map();
+    return {
+      queryFor: b => ({
+        ...query,
+        claim: c => {
+          const h = deliveries.claim(b.id, c, { consume, want: query.want });
+          if (h) handles.set(b.id, h);
+          return Boolean(h);
+        },
+      }),
+      // Keep the delivered code's claim only (r = pick() result)
+      settle(r) {
+        for (const [id, h] of handles) {
+          if (!r?.found || id !== r.backend) h.release();
+        }
+        const d = r?.found && handles.get(r.backend)?.record();
+        return d ? { ...r, delivered: d.delivered, ...(consume ? { consumed: true } : {}) } : r;
+      },
+    };
+  }
+
+  // consume: never hand out a mail that was handed out before
+  // strictRecipients: only mails known to be delivered to ?to= (recipient-scoped key)
+  async function getCode(params, { consume = false, strictRecipients = false } = {}) {
+    const query = { ...codeQuery(params), strictRecipients };
+    const { backends: targets, via } = route(query.want);
+    const claims = claimsFor(query, consume);
+    const settled = await Promise.allSettled(targets.map(b => b.getCode(claims.queryFor(b))));
+    return claims.settle(pick(targets, settled, via));
+  }
+
+  // Long-poll every routed backend; the first code found ends the others
+  async function wait(params, { timeoutMs, signal, consume = false, strictRecipients = false }) {
+    const query = { ...codeQuery(params), strictRecipients };
+    const { backends: targets, via } = route(query.want);
+    const claims = claimsFor(query, consume);
+    const abort = new AbortController();
+    const onAbort = () => abort.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      const settled = await Promise.allSettled(targets.map(async b => {
+        const r = await b.wait(claims.queryFor(b), { timeoutMs, signal: abort.signal });
+        if (r.found) abort.abort();
+        return r;
+      }));
+      if (signal?.aborted) {
+        claims.settle(null);
+        return { found: false, code: null, reason: 'aborted' };
+      }
+      const r = claims.settle(pick(targets, settled, via));
+      return r.found ? r : { ...r, reason: 'timeout' };
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Newest first over every backend (a failing backend is listed in errors)
+  async function listRecent({ limit = 10 }) {
+    const settled = await Promise.allSettled(backends.map(b => b.listRecent({ limit })));
+    const list = [];
+    const errors = {};
+    for (const [i, s] of settled.entries()) {
+      if (s.status === 'rejected') errors[backends[i].id] = String(s.reason?.message || s.reason);
+      else list.push(...s.value.map(m => ({ backend: backends[i].id, ...m })));
+    }
+    if (backends.length === 1 && settled[0].status === 'rejected') throw settled[0].reason;
+    list.sort((a, b) => String(b.internalDate).localeCompare(String(a.internalDate)));
+    return { list: list.slice(0, limit), errors };
+  }
+
+  /**
+   * /code/ack: the client logged in with the code of message `id`; it is never
+   * handed out again. -> { ok, delivery } | { ok: false, status, error }
+   * allowed(delivery): caller's check (key scope) before anything changes.
+   */
+  function ack({ id, backend = '' }, allowed = () => true) {
+    if (!id) return { ok: false, status: 400, error: 'missing_id' };
+    const list = deliveries.find(id, backend);
+    if (!list.length) return { ok: false, status: 404, error: 'unknown_id' };
+    if (list.length > 1) return { ok: false, status: 409, error: 'ambiguous_id', backends: list.map(d => d.backend) };
+    if (!allowed(list[0])) return { ok: false, status: 403, error: 'out_of_scope' };
+    return { ok: true, delivery: deliveries.ack(list[0]) };
+  }
+
+  // One backend: its fields at the top level too (same /health as before the bridge)
+  function health() {
+    const list = backends.map(b => ({ id: b.id, ...b.health() }));
+    return {
+      ...(list.length === 1 ? list[0] : {}),
+      ok: true,
+      subjects: getRule('otp').label,
+      windowMinutes: { code: LAST_MINUTES, query: QUERY_MINUTES },
+      wait: { max: CODE_MAX_WAIT, pollSeconds: CODE_POLL_SECONDS },
+      deliveries: deliveries.stats(),
+      backends: list,
+    };
+  }
+
+  return { backends, route, getCode, wait, ack, listRecent, health };
+}
+
+// ======================================================
+// HTTP
+// ======================================================
+function sendJson(res, status, obj, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(obj));
+}
+
+// Listed origins only (lib/otp/auth.js), never "*"
+function corsHeaders(origin) {
+  if (!origin) return {};
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Api-Key, X-Bridge-Key, X-Bridge-Timestamp, X-Bridge-Nonce, X-Bridge-Signature',
+    Vary: 'Origin',
+  };
+}
+
+/**
+ * Endpoints:
+ *   GET /health               per-backend health (+ the only backend's fields at the top level)
+ *   GET /recent?limit=10      newest passcode mails over every backend
+ *   GET /code?to=xxx@icloud.com&after=1700000000000[&wait=60][&consume=1]
+ *                             consume=1: never a code that was handed out before
+ *   GET|POST /code/ack?id=<id>[&backend=<backend>]
+ *                             login done with that code: never hand it out again
+ *   GET /reminders?hours=24   wins with no 注文完了 whose 購入期限 is near / passed
+ *                             (read from the message store filled by the reports)
+ *   GET /route?to=xxx         which backends /code would ask (and why)
+ *
+ * Every request needs a key (lib/otp/auth.js): 401 without one, 403 for an
+ * unlisted Origin or a recipient outside the key's scope. A scoped key only
+ * gets codes from mails known to be delivered to ?to= (no recipient info = skipped).
+ */
+function createBridgeServer(router, { keysPath = KEYS_PATH } = {}) {
+  return http.createServer(async (req, res) => {
+    const u = new URL(req.url, 'http://127.0.0.1');
+    const origin = req.headers.origin;
+    const cors = corsHeaders(origin);
+    const send = (status, obj) => sendJson(res, status, obj, cors);
+
+    try {
+      const auth = loadAuth(keysPath);
+      if (!originAllowed(auth, origin)) {
+        log('[AUTH] origin_not_allowed', origin, u.pathname);
+        return sendJson(res, 403, { ok: false, error: 'origin_not_allowed' });
+      }
+      if (req.method === 'OPTIONS') return send(204, { ok: true });
+
+      const who = authenticate(auth, req);
+      if (!who.ok) {
+        log('[AUTH]', who.error, u.pathname);
+        return send(401, { ok: false, error: who.error });
+      }
+      if (!keyAllows(who.key, u.pathname, canonicalEmail(u.searchParams.get('to') || ''))) {
+        log('[AUTH] out_of_scope', who.key.name, u.pathname, u.searchParams.get('to') || '');
+        return send(403, { ok: false, error: 'out_of_scope' });
+      }
+
+      if (u.pathname === '/health') {
+        return send(200, router.health());
+      }
+
+      if (u.pathname === '/recent') {
+        const limit = Number(u.searchParams.get('limit') || '10');
+        const { list, errors } = await router.listRecent({ limit });
+        return send(200, { ok: true, count: list.length, list, ...(Object.keys(errors).length ? { errors } : {}) });
+      }
+
+      if (u.pathname === '/reminders') {
+        let hours;
+        let days;
+        try {
+          hours = parseHours(u.searchParams.get('hours'));
+        } catch (e) {
+          return send(400, { ok: false, error: 'invalid_hours', message: e.message });
+        }
+        try {
+          days = parseDays(u.searchParams.get('days'));
+        } catch (e) {
+          return send(400, { ok: false, error: 'invalid_days', message: e.message });
+        }
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const r = listReminders({ hours, since });
+        return send(200, { ok: true, hours, count: r.due.length, ...r });
+      }
+
+      if (u.pathname === '/route') {
+        const { backends, via } = router.route(canonicalEmail(u.searchParams.get('to') || ''));
+        return send(200, { ok: true, via, backends: backends.map(b => b.id) });
+      }
+
+      if (u.pathname === '/code/ack') {
+        const r = router.ack(
+          { id: u.searchParams.get('id') || '', backend: u.searchParams.get('backend') || '' },
+          d => keyAllows(who.key, '/code', d.want),
+        );
+        if (!r.ok) return send(r.status, { ok: false, error: r.error, ...(r.backends ? { backends: r.backends } : {}) });
+        const d = r.delivery;
+        log('[ACK]', { backend: d.backend, id: d.id, want: d.want || '(none)' });
+        return send(200, { ok: true, acked: true, id: d.id, backend: d.backend, to: d.want, delivered: d.delivered, ackedAt: toIso(d.ackedAt) });
+      }
+
+      if (u.pathname === '/code') {
+        const to = u.searchParams.get('to') || '';
+        const after = Number(u.searchParams.get('after') || '0'); // ms timestamp
+        const waitMs = parseWait(u.searchParams.get('wait'), CODE_MAX_WAIT);
+        const consume = ['1', 'true'].includes(u.searchParams.get('consume') || '');
+        const strictRecipients = Boolean(who.key?.recipients);
+        if (!waitMs) {
+          const r = await router.getCode({ toEmail: to, afterTs: after }, { consume, strictRecipients });
+          return send(200, { ok: true, ...r });
+        }
+
+        // Long-poll: stop waiting when the client hangs up
+        const abort = new AbortController();
+        res.on('close', () => abort.abort());
+        const r = await router.wait({ toEmail: to, afterTs: after }, { timeoutMs: waitMs, signal: abort.signal, consume, strictRecipients });
+        if (r.reason === 'aborted') return;
+        return send(200, { ok: true, waited: waitMs / 1000, ...r });
+      }
+
+      return send(404, { ok: false, error: 'Not found' });
+    } catch (e) {
+      if (e?.code === 'REAUTH_REQUIRED') {
+        return send(401, { ok: false, error: 'reauth_required', message: e.message });
+      }
+      log('[ERROR]', e);
+      return send(500, { ok: false, error: String(e?.message || e) });
+    }
+  });
+}
+
+function logAuth() {
+  const auth = loadAuth();
+  if (!auth.enabled) {
+    console.warn('[WARN] Auth OFF (BRIDGE_AUTH=off): any local page / process can read passcodes');
+    return;
+  }
+  if (!auth.keys.length) {
+    console.warn(`[WARN] No API key: every request is refused (add ${KEYS_PATH} or BRIDGE_API_KEY in .env)`);
+  }
+  const scoped = auth.keys.filter(k => k.recipients).length;
+  console.log(`Auth: ${auth.keys.length} key(s) (${scoped} scoped), origins: ${[...auth.origins].join(', ') || 'none'}`);
+}
+
+// Start every backend, listen on 127.0.0.1:port
+function serveBridge(backends, { port = Number(process.env.PORT || 8787), label = 'Passcode bridge' } = {}) {
+  const router = createRouter(backends);
+  const server = createBridgeServer(router);
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`${label} running: http://127.0.0.1:${port}`);
+    console.log(`Backends: ${backends.map(b => b.id).join(', ')}`);
+    console.log(`Test: /health , /recent?limit=10 , /code?to=xxx@icloud.com&after=${Date.now()}`);
+    console.log(`Window: code=${LAST_MINUTES}m, query=${QUERY_MINUTES}m, wait<=${CODE_MAX_WAIT}s (scan every ${CODE_POLL_SECONDS}s)`);
+    logAuth();
+    backends.forEach(b => b.start());
+  });
+  return { server, router };
+}
+
+module.exports = {
+  ROUTES_PATH,
+  loadRoutes,
+  createRouter,
+  createBridgeServer,
+  serveBridge,
+};
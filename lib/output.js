@@ -0,0 +1,116 @@
+// Report writers: the same sheet specs go to EXCEL, CSV or JSON.
+//
+// A sheet spec is a plain object:
+//   { name, columns: [{ header, key, width }], rows: [{...}],
+//     main?: true,   // frozen header + autoFilter (main data sheet)
+//     links?: [key], // columns rendered as clickable URLs
+//     wrap?: [key] } // columns with wrapped text
+//
+// CSV keeps the old export style (";" separator, header row) and writes
+// only the first sheet. JSON writes every sheet keyed by sheet name.
+
+const ExcelJS = require('exceljs');
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = ['xlsx', 'csv', 'json'];
+
+function formatFromPath(outPath) {
+  const ext = path.extname(outPath || '').slice(1).toLowerCase();
+  return FORMATS.includes(ext) ? ext : 'xlsx';
+}
+
+// Swap/append the extension so --format and --out always agree
+function withFormatExt(outPath, format) {
+  const ext = path.extname(outPath);
+  const base = FORMATS.includes(ext.slice(1).toLowerCase()) ? outPath.slice(0, -ext.length) : outPath;
+  return `${base}.${format}`;
+}
+
+function columnLetter(n) {
+  let s = '';
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    s = String.fromCharCode(65 + r) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+async function writeXlsx(sheets, outPath, creator) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = creator;
+  workbook.created = new Date();
+
+  for (const sheet of sheets) {
+    const ws = workbook.addWorksheet(sheet.name);
+    ws.columns = sheet.columns;
+    ws.getRow(1).font = { bold: true };
+
+    if (sheet.main) {
+      ws.views = [{ state: 'frozen', ySplit: 1 }];
+      ws.autoFilter = { from: 'A1', to: `${columnLetter(sheet.columns.length)}1` };
+    }
+
+    sheet.rows.forEach(r => ws.addRow(r));
+
+    // Make URL clickable
+    for (const key of sheet.links || []) {
+      ws.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const cell = row.getCell(key);
+        const url = cell.value;
+        if (typeof url === 'string' && url.startsWith('http')) {
+          cell.value = { text: url, hyperlink: url };
+        }
+      });
+    }
+
+    // Wrap long text
+    for (const key of sheet.wrap || []) {
+      ws.getColumn(key).alignment = { wrapText: true, vertical: 'top' };
+    }
+  }
+
+  await workbook.xlsx.writeFile(outPath);
+}
+
+function csvCell(value) {
+  const s = value == null ? '' : String(value);
+  return /[;"\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function writeCsv(sheets, outPath) {
+  const sheet = sheets[0];
+  const lines = [sheet.columns.map(c => csvCell(c.header)).join(';')];
+  for (const r of sheet.rows) {
+    lines.push(sheet.columns.map(c => csvCell(r[c.key])).join(';'));
+  }
+  fs.writeFileSync(outPath, lines.join('\n') + '\n');
+}
+
+function writeJson(sheets, outPath) {
+  const out = {};
+  for (const sheet of sheets) out[sheet.name] = sheet.rows;
+  fs.writeFileSync(outPath, JSON.stringify(out, null, 2));
+}
+
+async function writeSheets(sheets, { outPath, format = formatFromPath(outPath), creator = 'pokemon-mail' }) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(' | ')})`);
+  }
+
+  if (format === 'xlsx') await writeXlsx(sheets, outPath, creator);
+  else if (format === 'csv') writeCsv(sheets, outPath);
+  else writeJson(sheets, outPath);
+
+  const label = format === 'xlsx' ? 'Excel' : format.toUpperCase();
+  console.log(`${label} exported: ${outPath}`);
+}
+
+module.exports = {
+  FORMATS,
+  formatFromPath,
+  withFormatExt,
+  writeSheets,
+};
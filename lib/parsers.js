@@ -0,0 +1,404 @@
+// NOTE: Code comments are in English as requested.
+
+// Pokemon Center mail body parsers (lottery win + order-complete + shipping).
+// Shared by the Gmail and iCloud reports so a parser fix reaches both.
+
+const ORDER_END_MARKERS = [
+  '【お届け先情報】',
+  '【注文者情報】',
+  '【ご請求金額】',
+  '【お支払い情報】',
+  '【配送情報】',
+  '【注文情報】',
+  '【注意事項】',
+];
+
+// Shipping mail has the address block right after products
+const SHIPPING_END_MARKERS = [
+  ...ORDER_END_MARKERS,
+  '【お届け先】',
+  'お届け先',
+  '配送情報',
+];
+
+// Cut the block starting at 【商品情報】 and split it into trimmed lines
+function productBlockLines(fullText, endMarkers) {
+  if (!fullText) return [];
+  const t = fullText.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+
+  const startIdx = t.indexOf('【商品情報】');
+  if (startIdx === -1) return [];
+
+  let endIdx = t.length;
+  for (const m of endMarkers) {
+    const i = t.indexOf(m, startIdx + 1);
+    if (i !== -1 && i < endIdx) endIdx = i;
+  }
+
+  return t
+    .slice(startIdx, endIdx)
+    .split('\n')
+    .map(l => (l || '').trim())
+    .filter(Boolean);
+}
+
+// Clean product name:
+// - remove leading 【抽選販売】
+// - remove trailing schedule bracket like 【2026年...発送予定】 (unless keepSchedule)
+// - normalize spaces
+function cleanProductName(name, { keepSchedule = false } = {}) {
+  if (!name) return '';
+  let s = name.trim();
+
+  s = s.replace(/^【抽選販売】\s*/g, '');
+
+  // Example: 【2026年2月中旬発送予定】, 【2026年2月15日（日）～28日（土）発送予定】
+  if (!keepSchedule) s = s.replace(/【[^【】]*発送[^【】]*】\s*$/g, '');
+
+  s = s.replace(/\s+/g, ' ').trim();
+  return s;
+}
+
+// Deduplicate while preserving order
+function uniq(arr) {
+  const seen = new Set();
+  const out = [];
+  for (const x of arr) {
+    if (!x) continue;
+    if (seen.has(x)) continue;
+    seen.add(x);
+    out.push(x);
+  }
+  return out;
+}
+
+// ======================================================
+// Order complete (注文完了のお知らせ)
+// ======================================================
+
+// Extract product lines under 【商品情報】 and keep lines containing "小計"
+function extractProductLines(fullText) {
+  return productBlockLines(fullText, ORDER_END_MARKERS).filter(l => l.includes('小計'));
+}
+
+// Parse one product line into fields (best-effort)
+// Example raw:
+// 9900000006808 【抽選販売】ポケモンカードゲーム ... BOX【2026...発送予定】 (1個) 小計 5,500円
+function parseProductLine(line) {
+  const janMatch = line.match(/\b(\d{8,14})\b/);
+  const qtyMatch = line.match(/\((\d+)\s*個\)/);
+  const subtotalMatch = line.match(/小計\s*([0-9,]+円)/);
+
+  const jan = janMatch ? janMatch[1] : '';
+  const qty = qtyMatch ? qtyMatch[1] : '';
+  const subtotal = subtotalMatch ? subtotalMatch[1] : '';
+
+  // name: remove JAN, qty, subtotal (best-effort)
+  let name = line;
+  if (jan) name = name.replace(jan, '').trim();
+  name = name.replace(/\(\d+\s*個\)/, '').trim();
+  name = name.replace(/小計\s*[0-9,]+円/, '').trim();
+  name = name.replace(/^[-:：\s]+/, '').trim();
+
+  name = cleanProductName(name);
+
+  return { jan, name, qty, subtotal, raw: line };
+}
+
+// ======================================================
+// Shipping (商品が出荷されました)
+// ======================================================
+
+// Extract product lines in 【商品情報】 for shipping format (no 小計)
+// Example line: 9900000007003 【抽選販売】ポケモンカードゲーム ... BOX 5,400円 1個
+function extractProductLinesShipping(fullText) {
+  return productBlockLines(fullText, SHIPPING_END_MARKERS)
+    .filter(l => /\b\d{8,14}\b/.test(l) && /円/.test(l) && /個/.test(l));
+}
+
+// Parse one shipping product line into { jan, name, price }
+function parseShippingProductLine(line) {
+  const janMatch = line.match(/\b(\d{8,14})\b/);
+  const qtyMatch = line.match(/(\d+)\s*個/);
+  const priceMatch = line.match(/([0-9,]+)\s*円/);
+
+  const jan = janMatch ? janMatch[1] : '';
+  const qty = qtyMatch ? qtyMatch[1] : '';
+  const price = priceMatch ? priceMatch[1] : ''; // keep "5,400" (no 円)
+
+  let name = line;
+  if (jan) name = name.replace(jan, '').trim();
+  if (price) name = name.replace(new RegExp(`${price}\\s*円`), '').trim();
+  if (qty) name = name.replace(new RegExp(`${qty}\\s*個`), '').trim();
+
+  name = name.replace(/^[-:：\s]+/, '').trim();
+  name = cleanProductName(name, { keepSchedule: true });
+
+  return { jan, name, price, raw: line };
+}
+
+// Extract Product Name + Price for SHIPPING mail
+// If multiple products: join by " / "
+function extractProductAndPriceForShipping(fullText) {
+  const lines = extractProductLinesShipping(fullText);
+  if (!lines.length) return { productName: '', price: '' };
+
+  const names = [];
+  const prices = [];
+
+  for (const line of lines) {
+    const p = parseShippingProductLine(line);
+    if (p.name) names.push(p.name);
+    if (p.price) prices.push(p.price);
+  }
+
+  return {
+    productName: uniq(names).join(' / '),
+    price: uniq(prices).join(' / '),
+  };
+}
+
+// Extract tracking URL (flexible + join broken lines)
+function extractTrackingUrl(fullText) {
+  if (!fullText) return '';
+
+  // Remove quoted-printable soft breaks in case they remain
+  const t = fullText.replace(/=\r?\n/g, '');
+
+  // Grab first URL starting with https://member.kms. (Kuroneko)
+  const m = t.match(/https?:\/\/member\.kms\.[^\s<>"']+/i);
+  if (!m) return '';
+
+  // Clean trailing punctuation
+  return m[0].replace(/[),.]+$/, '');
+}
+
+// Extract WaybillNo (送り状番号 / お問い合わせ伝票番号) from body text or tracking URL
+function extractWaybillNo(fullText, trackingUrl) {
+  const t = (fullText || '').replace(/=\r?\n/g, '');
+
+  let m = t.match(/(送り状番号|お問い合わせ伝票番号)[：:]\s*([0-9\-]{5,})/);
+  if (m) return m[2];
+
+  m = t.match(/(送り状番号|お問い合わせ伝票番号)[^0-9]{0,50}([0-9\-]{5,})/);
+  if (m) return m[2];
+
+  m = t.match(
+    /(送り状番号|お問い合わせ伝票番号)[^0-9\r\n]{0,10}[\r\n]+[^\r\n]*?([0-9\-]{5,})/
+  );
+  if (m) return m[2];
+
+  // Fallback: if URL has pno=...
+  if (trackingUrl) {
+    const um = trackingUrl.replace(/=\r?\n/g, '').match(/pno=([0-9\-]{5,})/i);
+    if (um) return um[1];
+  }
+
+  return '';
+}
+
+// Extract shipping address block after お届け先
+function extractAddress(fullText) {
+  if (!fullText) return '';
+
+  const t = fullText.replace(/=\r?\n/g, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+  const lines = t.split('\n').map(l => (l || '').trim());
+
+  const idx = lines.findIndex(line => line.includes('お届け先'));
+  if (idx === -1) return '';
+
+  let name = '';
+  let zip = '';
+  const addressLines = [];
+
+  for (let i = idx + 1; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (
+      line.startsWith('【') ||
+      line.includes('お支払い方法') ||
+      line.includes('ご注文商品') ||
+      line.includes('ご注文内容') ||
+      line.includes('配送情報') ||
+      line.includes('注文情報')
+    ) {
+      break;
+    }
+
+    if (!line) continue;
+
+    if (!name && line.includes('様')) {
+      name = line;
+      continue;
+    }
+
+    if (!zip && line.startsWith('〒')) {
+      zip = line;
+      continue;
+    }
+
+    addressLines.push(line);
+  }
+
+  const parts = [];
+  if (name) parts.push(name);
+  if (zip) parts.push(zip);
+  if (addressLines.length > 0) parts.push(addressLines.join(' '));
+
+  return parts.join(' ');
+}
+
+// ======================================================
+// Lottery win (当選のお知らせ)
+// ======================================================
+
+// A heading line: 【抽選名】 / ■当選商品 / ◆購入期限 ...
+const HEADING_RE = /^(【[^】]+】|[■◆●▼□◇]\s*\S)/;
+
+const WIN_PRODUCT_HEADINGS = ['当選商品', '当選内容', '商品情報', '商品名'];
+const LOTTERY_NAME_HEADINGS = ['抽選名', '抽選販売名', '販売名', '抽選内容'];
+const DEADLINE_LABELS = ['購入期限', '購入手続き期限', 'ご購入期限', 'お支払い期限', '支払期限', '購入期間'];
+
+function textLines(fullText) {
+  return String(fullText || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\r/g, '\n')
+    .split('\n')
+    .map(l => l.trim());
+}
+
+// Lines under the first heading containing one of `names`, until the next heading.
+// `inline` = text after the heading on the same line (【抽選名】XXXX).
+function sectionAfter(lines, names) {
+  const i = lines.findIndex(l => HEADING_RE.test(l) && names.some(n => l.includes(n)));
+  if (i === -1) return null;
+
+  const name = names.find(n => lines[i].includes(n));
+  const inline = lines[i].slice(lines[i].indexOf(name) + name.length).replace(/^[】\s:：]+/, '').trim();
+  const body = [];
+  for (const l of lines.slice(i + 1)) {
+    if (HEADING_RE.test(l)) break;
+    if (l && !/^[-=＝ー─━*＊]{3,}$/.test(l)) body.push(l);
+  }
+  return { inline, body };
+}
+
+// 2025年11月20日(木) 23:59 / 2025/11/20 23:59 / 11/20 午後11時59分 / 2025年11月20日 -> JST Date
+// (no year => year of the mail; no time => end of that day)
+const JP_DATE_RE = /(?<!\d)(?:(\d{4})\s*[年/.-]\s*)?(\d{1,2})\s*[月/.-]\s*(\d{1,2})\s*日?\s*(?:[（(][^）)]{1,4}[）)])?\s*(?:(午前|午後|AM|PM)\s*)?(?:(\d{1,2})\s*(?:[:：]\s*(\d{2})|時\s*(?:(\d{1,2})\s*分)?))?/gi;
+
+// Mails keep a deadline at most this long before the mail date: older = next year (12/28 mail, 1/5 deadline)
+const YEAR_ROLLOVER_MS = 60 * 24 * 60 * 60 * 1000;
+
+function jstDate(y, mo, d, h, mi) {
+  const pad = n => String(n).padStart(2, '0');
+  const hh = h == null ? 23 : Number(h);
+  const mm = h == null ? 59 : Number(mi || 0);
+  const date = new Date(`${y}-${pad(mo)}-${pad(d)}T${pad(hh)}:${pad(mm)}:00+09:00`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// 午前 / 午後 (AM / PM) + hour -> 0-23
+function hour24(ampm, h) {
+  if (h == null) return null;
+  const n = Number(h);
+  if (/^(午後|pm)$/i.test(ampm || '')) return n < 12 ? n + 12 : n;
+  if (/^(午前|am)$/i.test(ampm || '')) return n === 12 ? 0 : n;
+  return n;
+}
+
+// baseDate: the mail's date (year for dates written without one)
+function parseJpDates(text, { baseDate } = {}) {
+  const base = new Date(baseDate || Date.now());
+  const baseYear = Number(new Date(base.getTime() + 9 * 60 * 60 * 1000).toISOString().slice(0, 4)); // JST
+
+  const out = [];
+  for (const m of String(text || '').matchAll(JP_DATE_RE)) {
+    const [, y, mo, d, ampm, h, mi, minJp] = m;
+    const hh = hour24(ampm, h);
+    let date = jstDate(y || baseYear, mo, d, hh, mi ?? minJp);
+    if (date && !y && date.getTime() < base.getTime() - YEAR_ROLLOVER_MS) {
+      date = jstDate(baseYear + 1, mo, d, hh, mi ?? minJp);
+    }
+    if (date) out.push({ date, text: m[0].trim() });
+  }
+  return out;
+}
+
+// Purchase deadline: first deadline label, the LAST date on that line + next one
+// (購入期間 11/12 11:00 ～ 11/20 23:59 => 11/20 23:59 of the mail's year)
+function extractDeadline(fullText, baseDate) {
+  const lines = textLines(fullText);
+  for (let i = 0; i < lines.length; i++) {
+    if (!DEADLINE_LABELS.some(label => lines[i].includes(label))) continue;
+    const dates = parseJpDates(`${lines[i]} ${lines[i + 1] || ''}`, { baseDate });
+    if (dates.length) return dates[dates.length - 1];
+  }
+  return { date: null, text: '' };
+}
+
+// Result / notice wording of lottery subjects (rules.json "lottery" results + お知らせ)
+const SUBJECT_NOTICE_RE = /当選キャンセル|当選取消|当選の取り消し|抽選販売のキャンセル|キャンセル|抽選結果|落選|補欠|当選|抽選のお申し込み|抽選お申し込み|抽選申込|抽選受付完了|受付完了|(を)?受け?付け?(ました|いたしました)|(の)?(お知らせ|ご案内|ご連絡|について)/g;
+
+// Lottery name: 【抽選名】 section, else 「...抽選...」, else the subject
+function extractLotteryName(fullText, subject = '') {
+  const section = sectionAfter(textLines(fullText), LOTTERY_NAME_HEADINGS);
+  if (section && (section.inline || section.body[0])) return section.inline || section.body[0];
+
+  const quoted = String(fullText || '').match(/「([^「」\n]*抽選[^「」\n]*)」/);
+  if (quoted) return quoted[1].trim();
+
+  // Subject minus the notice wording: 当選 / 抽選結果 / 補欠 mails of one lottery
+  // give the same name (or none); nothing but 抽選販売 left = no name
+  const name = String(subject)
+    .replace(/【ポケモンセンターオンライン】|\[ポケモンセンターオンライン\]/g, '')
+    .replace(SUBJECT_NOTICE_RE, ' ')
+    .replace(/^[\sの・:：\-]+|[\sの・:：\-]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return /^(の)?抽選(販売)?(受付)?$/.test(name) ? '' : name;
+}
+
+// Won product lines: JAN (optional), name, N個 (optional)
+function extractWonProducts(fullText) {
+  const section = sectionAfter(textLines(fullText), WIN_PRODUCT_HEADINGS);
+  if (!section) return [];
+
+  const products = [];
+  for (const line of [section.inline, ...section.body].filter(Boolean)) {
+    const qtyMatch = line.match(/(?:数量\s*[:：]?\s*)?(\d+)\s*個/);
+    const janMatch = line.match(/\b(\d{8,14})\b/);
+
+    let name = line;
+    if (janMatch) name = name.replace(janMatch[1], '');
+    if (qtyMatch) name = name.replace(qtyMatch[0], '');
+    name = name.replace(/[0-9,]+\s*円/, '').replace(/[()（）]/g, ' ').replace(/^[-・:：\s]+/, '');
+    name = cleanProductName(name);
+
+    // "数量：1個" on its own line belongs to the product above
+    if (!name && qtyMatch && products.length) {
+      products[products.length - 1].qty = qtyMatch[1];
+      continue;
+    }
+    if (!name) continue;
+
+    products.push({ jan: janMatch ? janMatch[1] : '', name, qty: qtyMatch ? qtyMatch[1] : '' });
+  }
+  return products;
+}
+
+module.exports = {
+  cleanProductName,
+  parseJpDates,
+  extractDeadline,
+  extractLotteryName,
+  extractWonProducts,
+  extractProductLines,
+  parseProductLine,
+  extractProductLinesShipping,
+  parseShippingProductLine,
+  extractProductAndPriceForShipping,
+  extractTrackingUrl,
+  extractWaybillNo,
+  extractAddress,
+};
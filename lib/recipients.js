@@ -0,0 +1,211 @@
+// Address helpers shared by every report + recipient resolution.
+//
+// Which account does a mail belong to? (resolveTargets)
+//   1. Forwarding wrapper in the body ("---------- Forwarded message ----------",
+//      "転送されたメッセージ", Outlook "差出人: / 宛先:" block): its To / 宛先 line
+//   2. From is hotmail / outlook (manual forward without a readable wrapper): From
+//   3. To, minus addresses the mail was forwarded / resent TO (X-Forwarded-To,
+//      Resent-To: our collecting mailbox, not the Pokemon Center account)
+//   4. No To (BCC / undisclosed): X-Original-To, the oldest Delivered-To,
+//      the first X-Forwarded-For address
+// Every address then goes through the alias map (aliases.json).
+//
+// Alias map: aliases.json (or ALIASES_FILE in .env), alias -> owning account,
+// e.g. iCloud Hide My Email addresses:
+// {
+//   "abc_123@privaterelay.appleid.com": "owner@icloud.com",
+//   "owner2@gmail.com": ["shop.alias@icloud.com", "other.alias@icloud.com"]
+// }
+// (a list value = every alias of that owner). Holds account addresses: git-ignored.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { canonicalEmail } = require('./email');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ALIASES_PATH = path.resolve(ROOT_DIR, process.env.ALIASES_FILE || 'aliases.json');
+
+// Forwarding / relay headers every backend fetches next to the envelope
+const RCPT_HEADERS = ['delivered-to', 'x-original-to', 'x-forwarded-to', 'x-forwarded-for', 'resent-to'];
+
+const EMAIL_RE = /[A-Za-z0-9._%+\-]+@[A-Za-z0-9\-]+(?:\.[A-Za-z0-9\-]+)+/g;
+
+// Extract emails from header like:
+// 'Name <a@b.com>, "X" <c@d.com>' => ['a@b.com','c@d.com']
+// 'a@b.com' => ['a@b.com']
+function extractEmails(headerValue) {
+  if (!headerValue) return [];
+  return String(headerValue)
+    .split(',')
+    .map(s => s.trim())
+    .map(addr => {
+      const match = addr.match(/<([^>]+)>/);
+      return (match ? match[1] : addr).trim();
+    })
+    .filter(Boolean);
+}
+
+// Format IMAP envelope address objects back into a header-like string:
+// [{ name: 'X', address: 'a@b.com' }] => 'X <a@b.com>'
+function formatAddressList(list) {
+  if (!Array.isArray(list)) return '';
+  return list
+    .filter(a => a && a.address)
+    .map(a => (a.name ? `${a.name} <${a.address}>` : a.address))
+    .join(', ');
+}
+
+// extractEmails() minus group syntax / junk ("undisclosed-recipients:;")
+function addressesIn(headerValue) {
+  return extractEmails(headerValue).filter(e => /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(e));
+}
+
+// ======================================================
+// Alias map (re-read when the file changes: the bridges run for days)
+// ======================================================
+const aliasCache = { filePath: '', mtimeMs: -1, map: new Map(), fingerprint: '' };
+
+function loadAliases(filePath = ALIASES_PATH) {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  } catch {
+    // no alias file: nothing to map
+  }
+  if (aliasCache.filePath === filePath && aliasCache.mtimeMs === mtimeMs) return aliasCache;
+
+  const map = new Map();
+  let fingerprint = '';
+  if (mtimeMs) {
+    const text = fs.readFileSync(filePath, 'utf-8');
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid alias file ${filePath}: ${e.message}`);
+    }
+    for (const [key, value] of Object.entries(raw)) {
+      if (Array.isArray(value)) value.forEach(alias => map.set(canonicalEmail(alias), key));
+      else map.set(canonicalEmail(key), String(value));
+    }
+    fingerprint = crypto.createHash('sha1').update(text).digest('hex').slice(0, 12);
+  }
+
+  Object.assign(aliasCache, { filePath, mtimeMs, map, fingerprint });
+  return aliasCache;
+}
+
+// alias -> owning account (unknown addresses are returned unchanged)
+function ownerOf(email, filePath) {
+  return loadAliases(filePath).map.get(canonicalEmail(email)) || email;
+}
+
+// ======================================================
+// Forwarding wrapper (manual forward, quoted original headers in the body)
+// ======================================================
+const FORWARD_MARKERS = [
+  /-{2,}\s*Forwarded message\s*-{2,}/i,
+  /-{2,}\s*Forwarded Message\s*-{2,}/i,
+  /Begin forwarded message:/i,
+  /-{2,}\s*Original Message\s*-{2,}/i,
+  /-{2,}\s*転送(された)?メッセージ\s*-{2,}/,
+  /転送されたメッセージ[:：]/,
+  /-{2,}\s*元のメッセージ\s*-{2,}/,
+  // Outlook: no marker line, just a header block
+  /^\s*(From|差出人)\s*[:：].*\n\s*(Sent|送信日時)\s*[:：]/im,
+];
+const WRAPPER_TO_RE = /^\s*\*?(To|宛先)\*?\s*[:：]\s*(.+)$/im;
+const WRAPPER_WINDOW = 12; // lines after the marker holding the quoted headers
+
+// Original recipients quoted in the forwarded body, [] if not a forward
+function forwardedRecipients(text) {
+  const t = String(text || '').replace(/\r\n?/g, '\n');
+  for (const re of FORWARD_MARKERS) {
+    const m = t.match(re);
+    if (!m) continue;
+    const block = t.slice(m.index).split('\n').slice(0, WRAPPER_WINDOW).join('\n');
+    const to = block.match(WRAPPER_TO_RE);
+    if (to) return to[2].match(EMAIL_RE) || [];
+  }
+  return [];
+}
+
+// ======================================================
+// Resolution
+// ======================================================
+// Same mailbox spelled twice (case, googlemail...) => first spelling kept
+function uniqCi(list) {
+  const seen = new Set();
+  return list.filter(e => {
+    const k = canonicalEmail(e);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// h: { from, to, headers } (MailSource headers), text: decoded body (optional)
+// -> target account emails (alias-mapped), + `via` = which rule decided
+function resolveRecipients(h, text = '') {
+  const headers = h.headers || {};
+  const list = name => addressesIn(headers[name]);
+
+  let via = '';
+  let emails = forwardedRecipients(text);
+  if (emails.length) via = 'wrapper';
+
+  if (!emails.length && /hotmail\.com|outlook\.com/i.test(h.from || '')) {
+    emails = addressesIn(h.from);
+    via = 'from';
+  }
+
+  if (!emails.length) {
+    const forwardedTo = new Set([...list('x-forwarded-to'), ...list('resent-to')].map(e => canonicalEmail(e)));
+    emails = addressesIn(h.to).filter(e => !forwardedTo.has(canonicalEmail(e)));
+    via = 'to';
+  }
+
+  if (!emails.length) {
+    const delivered = list('delivered-to');
+    const fallbacks = [
+      ['x-original-to', list('x-original-to')],
+      ['delivered-to', delivered.slice(-1)],
+      ['x-forwarded-for', String(headers['x-forwarded-for'] || '').match(EMAIL_RE)?.slice(0, 1) || []],
+    ];
+    const hit = fallbacks.find(([, l]) => l.length);
+    if (hit) [via, emails] = hit;
+  }
+
+  return { emails: uniqCi(emails.map(e => ownerOf(e))), via };
+}
+
+function resolveTargets(h, text) {
+  return resolveRecipients(h, text).emails;
+}
+
+// Every address a mail was delivered to (OTP recipient check), canonical
+// (lib/email.js), with the owning accounts of aliases added: ?to=owner finds
+// mail sent to an alias
+function recipientPool(h) {
+  const headers = h.headers || {};
+  const raw = [
+    ...addressesIn(h.to),
+    ...addressesIn(h.cc),
+    ...RCPT_HEADERS.flatMap(n => String(headers[n] || '').match(EMAIL_RE) || []),
+  ];
+  return uniqCi([...raw, ...raw.map(e => ownerOf(e))]).map(e => canonicalEmail(e));
+}
+
+module.exports = {
+  ALIASES_PATH,
+  RCPT_HEADERS,
+  extractEmails,
+  formatAddressList,
+  loadAliases,
+  ownerOf,
+  forwardedRecipients,
+  resolveRecipients,
+  resolveTargets,
+  recipientPool,
+};
@@ -0,0 +1,70 @@
+// Retry + concurrency helpers for API calls (Gmail quota: 429 / 5xx).
+
+const RETRY_STATUS = new Set([429, 500, 502, 503, 504]);
+const RETRY_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded', 'backendError']);
+const RETRY_NET_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE']);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(err) {
+  const status = err?.response?.status ?? (typeof err?.code === 'number' ? err.code : undefined);
+  if (RETRY_STATUS.has(status)) return true;
+  // Gmail reports per-user quota as 403 + reason
+  const reasons = (err?.errors || err?.response?.data?.error?.errors || []).map(e => e.reason);
+  if (status === 403 && reasons.some(r => RETRY_REASONS.has(r))) return true;
+  return RETRY_NET_CODES.has(err?.code);
+}
+
+// Retry-After: seconds or HTTP date
+function retryAfterMs(err) {
+  const v = err?.response?.headers?.['retry-after'];
+  if (!v) return 0;
+  const sec = Number(v);
+  if (Number.isFinite(sec)) return sec * 1000;
+  const at = new Date(v).getTime();
+  return Number.isNaN(at) ? 0 : Math.max(0, at - Date.now());
+}
+
+// fn() with exponential backoff + jitter: base, 2x base, 4x base... (capped)
+async function withRetry(fn, {
+  retries = Number(process.env.API_MAX_RETRIES || 5),
+  baseMs = Number(process.env.API_RETRY_BASE_MS || 500),
+  maxMs = 32000,
+  label = 'request',
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const backoff = Math.min(maxMs, baseMs * 2 ** attempt);
+      const wait = Math.max(retryAfterMs(err), backoff / 2 + Math.random() * backoff / 2);
+      const status = err?.response?.status || err?.code;
+      console.log(`[RETRY] ${label}: ${status}, attempt ${attempt + 1}/${retries}, wait ${Math.round(wait)}ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+// Promise.all over items with at most `limit` fn() in flight; keeps input order
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+
+  const n = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return out;
+}
+
+module.exports = {
+  isRetryable,
+  withRetry,
+  mapLimit,
+};
@@ -0,0 +1,190 @@
+// Mail matching rules: which mails belong to which type, and what to read from them.
+//
+// rules.json (or MAIL_RULES_FILE in .env), one entry per mail type:
+// {
+//   "lottery": {
+//     "from":    ["pokemoncenter-online.com"],        // sender constraint (optional)
+//     "results": { "waitlisted": ["補欠"], "won": ["当選"], "lost": ["抽選結果"] },
+//     "extract": { "lotteryName": "lotteryName", "deadline": "deadline" }
+//   },
+//   "order": { "subjects": ["注文完了のお知らせ"], "extract": { "products": "orderProducts" } },
+//   "otp":   { "subjects": ["ログイン用パスコード"], "extract": { "code": { "regex": ["..."] } } }
+// }
+//
+// - Patterns: plain string = substring match, "/.../flags" = regular expression.
+// - "from": every pattern is tried against the From header; empty = any sender
+//   (hotmail / outlook forwards arrive with the forwarder as From).
+// - "results": result name -> subject patterns, first matching result wins
+//   (order matters: "補欠" / "当選キャンセル" before "当選", "当選" before
+//   "抽選結果"). Without it, "subjects" is used.
+// - "extract": field -> extractor name of the mail's shop plugin (lib/shops:
+//   "orderProducts", "trackingUrl"...), or
+//   { "regex": "..." | ["...", "..."], "flags": "" }: first regex that matches,
+//   capture group 1 (else the whole match), '' when none matches.
+//
+// Servers only filter by literal subjects: a type with a regex subject is
+// searched by date alone and filtered here.
+//
+// Stored mails remember the fingerprint of the rule that parsed them, and so
+// does the sync checkpoint (reports/run.js): editing a type's rule makes the
+// next run scan the --since window again and re-parse its mails.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { detectShop, extractorNames } = require('./shops');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const RULES_PATH = path.resolve(ROOT_DIR, process.env.MAIL_RULES_FILE || 'rules.json');
+
+// ======================================================
+// Compile
+// ======================================================
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/s;
+
+function compilePattern(p, where) {
+  const s = String(p);
+  const m = s.match(REGEX_PATTERN);
+  if (!m) return { source: s, literal: true, test: v => String(v || '').includes(s) };
+  try {
+    const re = new RegExp(m[1], m[2]);
+    return { source: s, literal: false, test: v => re.test(String(v || '')) };
+  } catch (e) {
+    throw new Error(`Invalid rules: ${where}: ${e.message}`);
+  }
+}
+
+function compilePatterns(list, where) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error(`Invalid rules: ${where} must be an array`);
+  return list.map((p, i) => compilePattern(p, `${where}[${i}]`));
+}
+
+function compileExtractor(spec, where) {
+  if (typeof spec === 'string') {
+    const names = extractorNames();
+    if (!names.includes(spec)) throw new Error(`Invalid rules: ${where}: unknown extractor "${spec}" (${names.join(', ')})`);
+    // undefined = this shop has no such extractor (field left out)
+    return (text, h, fields, shop) => shop.extractors[spec]?.(text, h, fields);
+  }
+
+  if (spec && spec.regex) {
+    const sources = Array.isArray(spec.regex) ? spec.regex : [spec.regex];
+    let regexes;
+    try {
+      regexes = sources.map(s => new RegExp(s, spec.flags || ''));
+    } catch (e) {
+      throw new Error(`Invalid rules: ${where}: ${e.message}`);
+    }
+    return text => {
+      const norm = String(text || '').replace(/\r/g, '').replace(/[ \t]+/g, ' ');
+      for (const re of regexes) {
+        const m = norm.match(re);
+        if (m) return m[1] ?? m[0];
+      }
+      return '';
+    };
+  }
+
+  throw new Error(`Invalid rules: ${where}: expected an extractor name or { "regex": ... }`);
+}
+
+function compileRule(type, raw) {
+  const where = `"${type}"`;
+  if (!raw || typeof raw !== 'object') throw new Error(`Invalid rules: ${where} must be an object`);
+
+  const results = Object.entries(raw.results || {}).map(([result, list]) => ({
+    result,
+    patterns: compilePatterns(list, `${where}.results.${result}`),
+  }));
+  const subjects = results.length
+    ? results.flatMap(r => r.patterns)
+    : compilePatterns(raw.subjects, `${where}.subjects`);
+  if (!subjects.length) throw new Error(`Invalid rules: ${where} needs "subjects" or "results"`);
+
+  const extract = Object.entries(raw.extract || {}).map(([field, spec]) => ({
+    field,
+    fn: compileExtractor(spec, `${where}.extract.${field}`),
+  }));
+
+  return {
+    type,
+    results,
+    subjects,
+    from: compilePatterns(raw.from, `${where}.from`),
+    extract,
+    // Literal subjects for server-side search; [] = search by date only
+    searchSubjects: subjects.every(p => p.literal) ? subjects.map(p => p.source) : [],
+    label: subjects.map(p => p.source).join(' / '),
+    fingerprint: crypto.createHash('sha1').update(JSON.stringify(raw)).digest('hex').slice(0, 12),
+  };
+}
+
+// ======================================================
+// Load (re-read when the file changes: the bridges run for days)
+// ======================================================
+const cache = new Map(); // filePath -> { mtimeMs, rules }
+
+function loadRules(filePath = RULES_PATH) {
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  } catch {
+    throw new Error(`Rules file not found: ${filePath} (MAIL_RULES_FILE in .env)`);
+  }
+
+  const hit = cache.get(filePath);
+  if (hit && hit.mtimeMs === mtimeMs) return hit.rules;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Invalid rules file ${filePath}: ${e.message}`);
+  }
+
+  const rules = {};
+  for (const [type, rule] of Object.entries(raw)) rules[type] = compileRule(type, rule);
+  cache.set(filePath, { mtimeMs, rules });
+  return rules;
+}
+
+function getRule(type, filePath = RULES_PATH) {
+  const rule = loadRules(filePath)[type];
+  if (!rule) throw new Error(`No rule for mail type "${type}" in ${filePath}`);
+  return rule;
+}
+
+// ======================================================
+// Apply
+// ======================================================
+
+// h: { subject, from } -> null (not this type) or { result } ('' without "results")
+function matchMail(rule, h) {
+  if (rule.from.length && !rule.from.some(p => p.test(h.from))) return null;
+
+  if (!rule.results.length) {
+    return rule.subjects.some(p => p.test(h.subject)) ? { result: '' } : null;
+  }
+  const hit = rule.results.find(r => r.patterns.some(p => p.test(h.subject)));
+  return hit ? { result: hit.result } : null;
+}
+
+// Body text -> { field: value } in rule order (later extractors see earlier fields)
+// shop: plugin whose extractors are used (default: detected from h + text)
+function extractFields(rule, text, h = {}, shop = detectShop(h, text)) {
+  const fields = {};
+  for (const { field, fn } of rule.extract) {
+    const value = fn(text, h, fields, shop);
+    if (value !== undefined) fields[field] = value;
+  }
+  return fields;
+}
+
+module.exports = {
+  RULES_PATH,
+  loadRules,
+  getRule,
+  matchMail,
+  extractFields,
+};
@@ -0,0 +1,45 @@
+// Retailer (shop) parser plugins.
+//
+// A plugin is a module exporting:
+//   { id, name,
+//     detect(h, text) -> boolean    h = { subject, from, to }, text = decoded body
+//     extractors: { <name>: (text, h, fieldsSoFar) -> value } }
+//
+// rules.json "extract" names an extractor (e.g. "orderProducts"); it is looked
+// up on the shop that detect()ed the mail. A shop without that extractor leaves
+// the field out. Mails no plugin recognizes get shop '' and no named extractor
+// at all: another shop's format must not be read with Pokemon Center parsers
+// ({ "regex": ... } extractors still apply).
+//
+// Only Pokemon Center has a plugin so far, and the "order" / "shipping"
+// subjects in rules.json are its own. Add a shop: write lib/shops/<shop>.js,
+// list it in SHOPS (first match wins) and add its subjects to rules.json.
+
+const pokemonCenter = require('./pokemon_center');
+
+const SHOPS = [pokemonCenter];
+
+const UNKNOWN_SHOP = { id: '', name: '', detect: () => true, extractors: {} };
+
+function detectShop(h, text) {
+  return SHOPS.find(shop => shop.detect(h, text)) || UNKNOWN_SHOP;
+}
+
+// Stored id -> display name (ids of removed plugins are shown as-is)
+function shopName(id) {
+  if (!id) return '';
+  return SHOPS.find(shop => shop.id === id)?.name || id;
+}
+
+// Every extractor name some plugin implements (rules.json validation)
+function extractorNames() {
+  return [...new Set(SHOPS.flatMap(shop => Object.keys(shop.extractors)))];
+}
+
+module.exports = {
+  SHOPS,
+  UNKNOWN_SHOP,
+  detectShop,
+  shopName,
+  extractorNames,
+};
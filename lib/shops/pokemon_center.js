@@ -0,0 +1,63 @@
+// Pokemon Center Online (ポケモンセンターオンライン): the original shop plugin.
+//
+// Formats: 【商品情報】 blocks with 小計 (注文完了), Kuroneko tracking links
+// (member.kms.kuronekoyamato) in 出荷 mails, 【抽選名】 / ■当選商品 / 購入期限
+// sections in 当選 mails. Parsers live in lib/parsers.js.
+
+const {
+  extractLotteryName,
+  extractWonProducts,
+  extractDeadline,
+  extractProductLines,
+  parseProductLine,
+  extractProductLinesShipping,
+  parseShippingProductLine,
+  extractProductAndPriceForShipping,
+  extractTrackingUrl,
+  extractWaybillNo,
+  extractAddress,
+} = require('../parsers');
+
+const SENDER_RE = /pokemoncenter-online\.com/i;
+const MARKER = 'ポケモンセンターオンライン';
+
+// Forwarded mails (hotmail / outlook) lose the sender: look at subject + body too
+function detect(h, text = '') {
+  return SENDER_RE.test(h.from || '') || String(h.subject || '').includes(MARKER) || String(text).includes(MARKER);
+}
+
+const extractors = {
+  // Lottery
+  lotteryName: (text, h) => extractLotteryName(text, h.subject),
+  wonProducts: text => extractWonProducts(text),
+  // Dates without a year take the mail's
+  deadline: (text, h) => {
+    const { date } = extractDeadline(text, h.internalDate || h.date);
+    return date ? date.toISOString() : '';
+  },
+  deadlineText: (text, h) => extractDeadline(text, h.internalDate || h.date).text,
+
+  // Order complete
+  orderProducts: text => extractProductLines(text).map(line => {
+    const { jan, name, qty, subtotal } = parseProductLine(line);
+    return { jan, name, qty, subtotal };
+  }),
+
+  // Shipping
+  trackingUrl: text => extractTrackingUrl(text),
+  waybillNo: (text, h, fields) => extractWaybillNo(text, fields.trackingUrl ?? extractTrackingUrl(text)),
+  address: text => extractAddress(text),
+  shippingProductName: text => extractProductAndPriceForShipping(text).productName,
+  shippingPrice: text => extractProductAndPriceForShipping(text).price,
+  shippingProducts: text => extractProductLinesShipping(text).map(line => {
+    const { jan, name, price } = parseShippingProductLine(line);
+    return { jan, name, price };
+  }),
+};
+
+module.exports = {
+  id: 'pokemon-center',
+  name: 'Pokemon Center Online',
+  detect,
+  extractors,
+};
@@ -0,0 +1,137 @@
+// Local message store (JSONL): every parsed Pokemon Center mail, once.
+//
+// data/messages.jsonl (or MAIL_STORE_FILE in .env), one record per line:
+//   { key, type, version, rules, messageId, date, internalDate, subject, from, to,
+//     fields, seen: [{ provider, account, id }], storedAt }
+//
+// - key = Message-ID (lowercase, no <>), else provider:account:id
+// - type = 'lottery' | 'order' | 'shipping' | 'otp'
+// - rules = fingerprint of the rules.json entry (+ aliases.json) the mail was parsed with
+// - fields = what the report parser extracted (targets, products, waybill...)
+// - seen = every mailbox the mail was found in: the same mail forwarded to two
+//   accounts is ONE record, so overlapping runs never double-count.
+// - Append-only: a later line with the same key replaces the earlier one
+//   (compact() rewrites the file with one line per key).
+//
+// SECURITY:
+// - Holds customer addresses / order details: git-ignored, never commit it.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const STORE_PATH = path.resolve(ROOT_DIR, process.env.MAIL_STORE_FILE || 'data/messages.jsonl');
+
+const TYPES = ['lottery', 'order', 'shipping', 'otp'];
+
+function messageKey(provider, account, h) {
+  const mid = String(h.messageId || '').trim().replace(/^<|>$/g, '').toLowerCase();
+  return mid || `${provider}:${account || ''}:${h.id}`;
+}
+
+function sameSighting(a, b) {
+  return a.provider === b.provider && a.account === b.account && String(a.id) === String(b.id);
+}
+
+// Window filter uses the server receive time when known (same as search())
+function recordTime(r) {
+  return new Date(r.internalDate || r.date || 0).getTime();
+}
+
+function openStore(filePath = STORE_PATH) {
+  const records = new Map();
+  let lines = 0;
+
+  if (fs.existsSync(filePath)) {
+    const raw = fs.readFileSync(filePath, 'utf-8');
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      lines++;
+      try {
+        const r = JSON.parse(line);
+        if (r && r.key) records.set(r.key, r);
+      } catch {
+        // half-written last line (crash mid-append): ignore it
+      }
+    }
+  }
+
+  function append(record) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+    records.set(record.key, record);
+    lines++;
+  }
+
+  // Insert / replace a parsed mail; keeps the mailboxes it was already seen in
+  function put(record, sighting) {
+    if (!TYPES.includes(record.type)) throw new Error(`Unknown store type: ${record.type}`);
+    const seen = [...(records.get(record.key)?.seen || [])];
+    if (sighting && !seen.some(s => sameSighting(s, sighting))) seen.push(sighting);
+    append({ ...record, seen, storedAt: new Date().toISOString() });
+  }
+
+  // Already-parsed mail found in one more mailbox; false if nothing changed
+  function see(key, sighting) {
+    const r = records.get(key);
+    if (!r || r.seen.some(s => sameSighting(s, sighting))) return false;
+    append({ ...r, seen: [...r.seen, sighting] });
+    return true;
+  }
+
+  // Records of one type in [since, until), limited to mailboxes of provider / accounts.
+  // Each result gets `account`: the matching mailboxes, comma-joined.
+  function query({ type, provider, accounts, since, until } = {}) {
+    const wanted = accounts ? new Set(accounts.map(a => String(a).toLowerCase())) : null;
+    const from = since ? since.getTime() : -Infinity;
+    const to = until ? until.getTime() : Infinity;
+
+    const out = [];
+    for (const r of records.values()) {
+      if (type && r.type !== type) continue;
+      const t = recordTime(r);
+      if (t < from || t >= to) continue;
+
+      const seen = (r.seen || []).filter(s =>
+        (!provider || s.provider === provider) &&
+        (!wanted || wanted.has(String(s.account).toLowerCase()))
+      );
+      if (!seen.length) continue;
+
+      out.push({ ...r, account: [...new Set(seen.map(s => s.account).filter(Boolean))].join(', ') });
+    }
+
+    return out.sort((a, b) => recordTime(a) - recordTime(b));
+  }
+
+  // Rewrite the file with one line per key (atomic rename)
+  function compact() {
+    if (lines === records.size) return;
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, [...records.values()].map(r => JSON.stringify(r) + '\n').join(''));
+    fs.renameSync(tmp, filePath);
+    lines = records.size;
+  }
+
+  return {
+    filePath,
+    get size() {
+      return records.size;
+    },
+    get lines() {
+      return lines;
+    },
+    get: key => records.get(key),
+    put,
+    see,
+    query,
+    compact,
+  };
+}
+
+module.exports = {
+  STORE_PATH,
+  TYPES,
+  messageKey,
+  openStore,
+};
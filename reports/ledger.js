@@ -0,0 +1,303 @@
+// Lifecycle ledger: won → ordered → shipped → tracking, per account email + JAN.
+//
+// Joins the lottery / order / shipping mails of the message store (every
+// provider and account) and answers "which accounts still need action?":
+// - NO 注文完了: a win with no order-complete mail for that email (+ JAN)
+// - NO 出荷:    an order line with no shipping mail for that email + JAN
+//
+// Matching (one to one, oldest first):
+// - every win (email + lottery + product), order line and shipment is its own
+//   entry: two wins of one account need two orders
+// - a win is ordered by the earliest unused order line of the same canonical
+//   email (lib/email.js) placed on / after the win, with the same JAN or
+//   product name; a win or order without any parsed product (lottery wins
+//   often carry no JAN) falls back to any later order line of that email
+// - an order line is shipped by a later shipping mail the same way
+// - "Original" = address as received
+// - a win whose lottery was cancelled afterwards (当選キャンセル) needs no order
+
+const { pct, formatDate, formatJst } = require('../lib/format');
+const { openStore } = require('../lib/store');
+const { canonicalEmail } = require('../lib/email');
+const { syncReports, finishReport } = require('./run');
+const { lotteryReport, buildLottery, outcomeOf, lotteryKey, lotteryId } = require('./lottery');
+const { ordersReport } = require('./orders');
+const { shippingReport } = require('./shipping');
+
+const STATUSES = ['won', 'ordered', 'shipped', 'tracking'];
+
+const ACTION_NO_ORDER = 'NO 注文完了';
+const ACTION_NO_SHIPMENT = 'NO 出荷';
+
+function timeOf(r) {
+  return new Date(r.internalDate || r.date || 0).getTime();
+}
+
+// Product name for comparison: width / spaces / case folded
+function productKey(name) {
+  return String(name || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+}
+
+const hasProduct = e => Boolean(e.jan || e.nameKey);
+
+// Same product: JAN when both have one, else one name contains the other
+function sameProduct(a, b) {
+  if (a.jan && b.jan) return a.jan === b.jan;
+  return Boolean(a.nameKey && b.nameKey && (a.nameKey.includes(b.nameKey) || b.nameKey.includes(a.nameKey)));
+}
+
+// Entries of every record, canonical email + comparison keys; oldest first
+function entriesOf(records, toEntries) {
+  return records
+    .flatMap(r => toEntries(r).map(e => ({
+      ...e,
+      email: canonicalEmail(e.email),
+      original: e.email,
+      jan: e.jan || '',
+      nameKey: productKey(e.name),
+      time: timeOf(r),
+      date: r.date,
+      account: r.account,
+    })))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * One to one: for each item (oldest first) the earliest unused candidate of
+ * the same email, not older than the item, same product; items / candidates
+ * without product info only get what is left after the exact matches.
+ * -> Map(item -> candidate)
+ */
+function pairUp(items, candidates) {
+  const pairs = new Map();
+  const used = new Set();
+  const take = (item, fits) => {
+    const c = candidates.find(x => !used.has(x) && x.email === item.email && x.time >= item.time && fits(x));
+    if (!c) return;
+    used.add(c);
+    pairs.set(item, c);
+  };
+
+  for (const item of items.filter(hasProduct)) take(item, c => hasProduct(c) && sameProduct(item, c));
+  for (const item of items) {
+    if (!pairs.has(item)) take(item, c => !hasProduct(item) || !hasProduct(c));
+  }
+  return pairs;
+}
+
+// ======================================================
+// Build
+// ======================================================
+function buildLedger({ lottery, orders, shipping }) {
+  // Final state per (email, lottery): a later キャンセル drops the win
+  const { lotteries } = buildLottery(lottery);
+  const stateOf = (r, email) => lotteries.get(lotteryId(r.fields))?.results.get(canonicalEmail(email))?.state;
+
+  // One win per email + lottery + product: a repeated 当選 mail of the same
+  // lottery is the same win (latest kept); an unnamed lottery is its own mail
+  const winsByKey = new Map();
+  const winEntries = entriesOf(lottery.filter(r => outcomeOf(r.fields.result) === 'won'), r => {
+    const products = r.fields.products?.length ? r.fields.products : [{ jan: '', name: '' }];
+    const targets = r.fields.targets.filter(email => stateOf(r, email) !== 'cancelled');
+    const lotteryRef = lotteryKey(r.fields.lotteryName) ? lotteryId(r.fields) : r.key;
+    return targets.flatMap(email => products.map(p => ({
+      email,
+      lotteryRef,
+      jan: p.jan || '',
+      name: p.name || '',
+      lotteryName: r.fields.lotteryName || '',
+      deadline: r.fields.deadline || '',
+    })));
+  });
+  for (const w of winEntries) winsByKey.set([w.email, w.lotteryRef, w.jan, w.nameKey].join('|'), w);
+  const wins = [...winsByKey.values()].sort((a, b) => a.time - b.time);
+
+  const ordered = entriesOf(orders, r => {
+    const products = r.fields.products.length ? r.fields.products : [{ jan: '', name: '', qty: '' }];
+    return products.map(p => ({ email: r.fields.to, jan: p.jan, name: p.name, qty: p.qty }));
+  });
+
+  const shipped = entriesOf(shipping, r => {
+    const products = r.fields.products?.length ? r.fields.products : [{ jan: '', name: r.fields.productName }];
+    return r.fields.targets.flatMap(email => products.map(p => ({
+      email,
+      jan: p.jan,
+      name: p.name,
+      waybillNo: r.fields.waybillNo,
+      trackingUrl: r.fields.trackingUrl,
+    })));
+  });
+
+  const winOrders = pairUp(wins, ordered);
+  const orderShipments = pairUp(ordered, shipped);
+  const winOf = new Map([...winOrders].map(([w, o]) => [o, w]));
+  const orderOf = new Map([...orderShipments].map(([o, sh]) => [sh, o]));
+
+  const rows = [];
+
+  for (const o of ordered) {
+    const win = winOf.get(o);
+    const ship = orderShipments.get(o);
+
+    rows.push({
+      email: o.email,
+      original: o.original,
+      jan: o.jan,
+      name: o.name || ship?.name || win?.name || '',
+      won: formatDate(win?.date),
+      ordered: formatDate(o.date),
+      qty: o.qty,
+      shipped: formatDate(ship?.date),
+      waybillNo: ship?.waybillNo || '',
+      trackingUrl: ship?.trackingUrl || '',
+      status: !ship ? 'ordered' : (ship.waybillNo || ship.trackingUrl ? 'tracking' : 'shipped'),
+      action: ship ? '' : ACTION_NO_SHIPMENT,
+      account: o.account,
+    });
+  }
+
+  // Shipping mails whose order-complete mail is outside the window / missing
+  for (const ship of shipped) {
+    if (orderOf.has(ship)) continue;
+    rows.push({
+      email: ship.email,
+      original: ship.original,
+      jan: ship.jan,
+      name: ship.name || '',
+      won: '',
+      ordered: '',
+      qty: '',
+      shipped: formatDate(ship.date),
+      waybillNo: ship.waybillNo || '',
+      trackingUrl: ship.trackingUrl || '',
+      status: ship.waybillNo || ship.trackingUrl ? 'tracking' : 'shipped',
+      action: '',
+      account: ship.account,
+    });
+  }
+
+  // Wins never ordered
+  for (const win of wins) {
+    if (winOrders.has(win)) continue;
+
+    rows.push({
+      email: win.email,
+      original: win.original,
+      jan: win.jan,
+      name: win.name,
+      won: formatDate(win.date),
+      deadline: win.deadline,
+      lotteryName: win.lotteryName,
+      ordered: '',
+      qty: '',
+      shipped: '',
+      waybillNo: '',
+      trackingUrl: '',
+      status: 'won',
+      action: ACTION_NO_ORDER,
+      account: win.account,
+    });
+  }
+
+  rows.sort((a, b) => a.email.localeCompare(b.email) || String(a.jan).localeCompare(String(b.jan)));
+
+  return { rows, messages: lottery.length + orders.length + shipping.length };
+}
+
+// ======================================================
+// Logs
+// ======================================================
+function countBy(rows, key) {
+  const out = {};
+  for (const r of rows) out[r[key]] = (out[r[key]] || 0) + 1;
+  return out;
+}
+
+function logLedger({ rows }) {
+  const byStatus = countBy(rows, 'status');
+  const todo = rows.filter(r => r.action);
+
+  console.log('\n========== LEDGER ==========');
+  for (const s of STATUSES) console.log(`${s}: ${byStatus[s] || 0}`);
+  console.log(`Rows: ${rows.length}`);
+  console.log('============================');
+
+  console.log(`\n========== ACTION NEEDED (${todo.length}) ==========`);
+  for (const r of todo) {
+    console.log(`  ! ${r.action} | ${r.email} | ${r.jan || '-'} ${r.name || ''}`.trimEnd());
+  }
+  console.log('==========================================');
+}
+
+// ======================================================
+// Export
+// ======================================================
+const LEDGER_COLUMNS = [
+  { header: 'Email', key: 'email', width: 34 },
+  { header: 'Original', key: 'original', width: 34 },
+  { header: 'JAN', key: 'jan', width: 16 },
+  { header: 'Product Name', key: 'name', width: 60 },
+  { header: 'Won', key: 'won', width: 28 },
+  { header: 'Deadline (JST)', key: 'deadlineJst', width: 18 },
+  { header: 'Ordered', key: 'ordered', width: 28 },
+  { header: 'Qty', key: 'qty', width: 8 },
+  { header: 'Shipped', key: 'shipped', width: 28 },
+  { header: 'WaybillNo', key: 'waybillNo', width: 16 },
+  { header: 'TrackingUrl', key: 'trackingUrl', width: 55 },
+  { header: 'Status', key: 'status', width: 10 },
+  { header: 'Action', key: 'action', width: 14 },
+  { header: 'Account', key: 'account', width: 30 },
+];
+
+function ledgerSheets({ rows: ledgerRows }) {
+  const rows = ledgerRows.map(r => ({ ...r, deadlineJst: formatJst(r.deadline) }));
+  const byStatus = countBy(rows, 'status');
+  const byAction = countBy(rows.filter(r => r.action), 'action');
+
+  return [
+    { name: 'Ledger', main: true, columns: LEDGER_COLUMNS, rows, links: ['trackingUrl'] },
+    { name: 'Action', main: true, columns: LEDGER_COLUMNS, rows: rows.filter(r => r.action), links: ['trackingUrl'] },
+    {
+      name: 'Summary',
+      columns: [
+        { header: 'Metric', key: 'metric', width: 25 },
+        { header: 'Value', key: 'value', width: 40 },
+      ],
+      rows: [
+        ...STATUSES.map(s => ({ metric: s, value: byStatus[s] || 0 })),
+        { metric: ACTION_NO_ORDER, value: byAction[ACTION_NO_ORDER] || 0 },
+        { metric: ACTION_NO_SHIPMENT, value: byAction[ACTION_NO_SHIPMENT] || 0 },
+        { metric: 'Shipped rate', value: pct((byStatus.shipped || 0) + (byStatus.tracking || 0), rows.length) },
+      ],
+    },
+  ];
+}
+
+// Sync lottery + orders + shipping of one provider (unless offline), then
+// build the ledger from the whole store: Gmail and iCloud accounts together.
+async function runLedger(provider, options = {}) {
+  const store = openStore(options.storePath);
+  if (!options.offline) {
+    await syncReports([lotteryReport, ordersReport, shippingReport], provider, store, options);
+  }
+
+  const query = type => store.query({ type, since: options.since, until: options.until });
+  const data = buildLedger({ lottery: query('lottery'), orders: query('order'), shipping: query('shipping') });
+  return finishReport(ledgerReport, data, { ...options, provider });
+}
+
+const ledgerReport = {
+  name: 'ledger',
+  log: logLedger,
+  sheets: ledgerSheets,
+  empty: () => 'Không có mail 当選 / 注文完了 / 出荷 nào trong kho cho khoảng thời gian này.',
+};
+
+module.exports = {
+  ACTION_NO_ORDER,
+  ACTION_NO_SHIPMENT,
+  buildLedger,
+  ledgerSheets,
+  ledgerReport,
+  runLedger,
+};
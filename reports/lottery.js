@@ -0,0 +1,482 @@
+// Lottery result report (Direction B: unique mailbox results)
+// Result format: Email, Result (o = win / x = lose), State
+//
+// Notes:
+// - Console counts are UNIQUE mailbox counts, consistent with Excel.
+// - If an address has both win/lose emails, win ("o") wins and is not overwritten
+//   (the address is then listed on "Conflicts").
+// - Runs unchanged against any MailSource (Gmail API / iCloud IMAP).
+// - Account column = which scanned mailbox(es) the result came from.
+// - Email = canonical address (lib/email.js): case / googlemail variants are ONE
+//   mailbox; "Original" shows the address(es) as received.
+// - 当選 bodies are parsed for the lottery name, won product(s) and the
+//   purchase deadline (購入期限): "Wins" sheet + columns on "Results".
+// - Outcomes (rules.json "lottery.results"): applied (抽選申込 receipt), won,
+//   lost, waitlisted (補欠), cancelled (当選キャンセル). Per (email, lottery)
+//   the latest result mail decides the state (補欠 -> 繰り上げ当選 = won,
+//   当選 -> キャンセル = cancelled); a receipt never overrides a result, a
+//   落選 never overrides a 当選 of the same lottery (conflict).
+// - Results are also kept per (email, lottery): "Lotteries" (hit rate per
+//   lottery), "ByLottery" (state per lottery), "Pending" (applied, no result
+//   yet) and "Conflicts" (emails with mixed outcomes, which the global o/x
+//   above hides).
+// - Shop column = retailer plugin that recognized the mail (lib/shops).
+// - Mails are parsed once into the message store (lib/store.js); the
+//   report is a query over it, so overlapping runs never double-count.
+
+const { resolveTargets } = require('../lib/recipients');
+const { bodyToText } = require('../lib/mime');
+const { getRule, matchMail, extractFields } = require('../lib/rules');
+const { detectShop, shopName } = require('../lib/shops');
+const { pct, formatDate, formatJst } = require('../lib/format');
+const { createOriginals } = require('../lib/email');
+
+const UNKNOWN_LOTTERY = '(unknown)';
+
+// Display order (Results sheet, console); 'win' / 'lose' = result names of
+// rules files / stored mails from before applied / waitlisted / cancelled
+const OUTCOMES = ['won', 'waitlisted', 'applied', 'lost', 'cancelled'];
+const OUTCOME_ALIASES = { win: 'won', lose: 'lost' };
+
+// Stored result -> outcome (unknown result names count as lost, as before)
+function outcomeOf(result) {
+  const outcome = OUTCOME_ALIASES[result] || result;
+  return OUTCOMES.includes(outcome) ? outcome : 'lost';
+}
+
+// Same lottery, different wording between win / lose mails:
+// 「XXX 抽選販売」 vs 【抽選名】XXX => same key
+function lotteryKey(name) {
+  return String(name || '')
+    .normalize('NFKC')
+    .replace(/[「」『』"\s]/g, '')
+    .replace(/(の)?抽選(販売)?(受付)?$/, '')
+    .toLowerCase();
+}
+
+// Store fields -> key of the lottery they belong to (shop + lotteryKey)
+function lotteryId(fields) {
+  return `${fields.shop || ''}|${lotteryKey(fields.lotteryName || UNKNOWN_LOTTERY) || UNKNOWN_LOTTERY}`;
+}
+
+// ======================================================
+// Ingest (one mail -> store fields): outcome by subject (rules.json "lottery")
+// ======================================================
+function lotterySubjects({ rulesPath } = {}) {
+  return getRule('lottery', rulesPath).searchSubjects;
+}
+
+async function ingestLottery(source, h, { rulesPath } = {}) {
+  // Detect the outcome by subject (first matching result: キャンセル / 補欠 before 当選)
+  const rule = getRule('lottery', rulesPath);
+  const match = matchMail(rule, h);
+  if (!match) return null;
+
+  // Every outcome: which shop + lottery the mail belongs to; win: what was won and until when
+  const text = bodyToText(await source.fetchBody(h.id));
+  const shop = detectShop(h, text);
+  // Which account: forwarding wrapper / headers / alias map (lib/recipients.js)
+  const targets = resolveTargets(h, text);
+  return { result: match.result, targets, shop: shop.id, ...extractFields(rule, text, h, shop) };
+}
+
+// ======================================================
+// Build: (email, lottery) -> state; email -> 'o' (win) or 'x' (lose)
+// ======================================================
+function buildLottery(records, { rulesPath } = {}) {
+  // Message-level counts per outcome (these count messages, NOT unique mailboxes)
+  const messages = Object.fromEntries(OUTCOMES.map(o => [o, 0]));
+
+  // canonical email -> spellings as received
+  const originals = createOriginals();
+  // email -> Set(source account)
+  const accountMap = new Map();
+  // One row per (win mail, target email, product)
+  const wins = [];
+  // lotteryId -> { shop, name, results: Map(email -> { outcomes: Set, state, applied }) }
+  const lotteries = new Map();
+
+  for (const r of records) {
+    const outcome = outcomeOf(r.fields.result);
+    messages[outcome]++;
+
+    const shop = shopName(r.fields.shop);
+    const key = lotteryId(r.fields);
+    if (!lotteries.has(key)) lotteries.set(key, { shop, name: r.fields.lotteryName || UNKNOWN_LOTTERY, results: new Map() });
+    const lottery = lotteries.get(key);
+
+    for (const target of r.fields.targets) {
+      const email = originals.add(target);
+      if (!accountMap.has(email)) accountMap.set(email, new Set());
+      r.account.split(', ').forEach(a => accountMap.get(email).add(a));
+
+      // Records come oldest first: the latest result mail decides
+      if (!lottery.results.has(email)) lottery.results.set(email, { outcomes: new Set(), state: '', applied: '' });
+      const entry = lottery.results.get(email);
+      entry.outcomes.add(outcome);
+      if (outcome === 'applied') {
+        entry.applied = entry.applied || formatDate(r.date);
+        if (!entry.state) entry.state = outcome;
+      } else if (!(outcome === 'lost' && entry.state === 'won')) {
+        entry.state = outcome;
+      }
+
+      if (outcome === 'won') {
+        const products = r.fields.products?.length ? r.fields.products : [{ jan: '', name: '', qty: '' }];
+        for (const p of products) {
+          wins.push({
+            mail: email,
+            shop,
+            lotteryName: r.fields.lotteryName || '',
+            jan: p.jan,
+            name: p.name,
+            qty: p.qty,
+            deadline: r.fields.deadline || '',
+            date: formatDate(r.date),
+            account: r.account,
+          });
+        }
+      }
+    }
+  }
+
+  // Unique mailbox maps from the per-lottery states:
+  // resultMap: email -> 'o' (won any lottery) or 'x' (lost, never won)
+  // stateMap:  email -> best state over its lotteries (OUTCOMES order)
+  const resultMap = new Map();
+  const stateMap = new Map();
+  for (const { results } of lotteries.values()) {
+    for (const [email, { state }] of results) {
+      if (state === 'won') resultMap.set(email, 'o');
+      else if (state === 'lost' && resultMap.get(email) !== 'o') resultMap.set(email, 'x');
+      const current = stateMap.get(email);
+      if (!current || OUTCOMES.indexOf(state) < OUTCOMES.indexOf(current)) stateMap.set(email, state);
+    }
+  }
+
+  return {
+    subject: getRule('lottery', rulesPath).label,
+    winMessages: messages.won,
+    loseMessages: messages.lost,
+    messages,
+    resultMap,
+    stateMap,
+    accountMap,
+    originals,
+    wins,
+    lotteries,
+  };
+}
+
+// Per lottery: state per email + counts; pending = applied with no result
+// yet; conflicts = won and lost mails for one lottery, or won / lost split
+// over lotteries
+function summarizeLotteries(lotteries = new Map()) {
+  const rows = [];
+  const stats = [];
+  const pending = [];
+  // email -> { won: [lottery], lost: [lottery], both: [lottery] }
+  const perEmail = new Map();
+
+  const sorted = [...lotteries.values()].sort((a, b) => a.shop.localeCompare(b.shop) || a.name.localeCompare(b.name));
+  for (const { shop, name, results } of sorted) {
+    const count = Object.fromEntries(OUTCOMES.map(o => [o, 0]));
+    let receipts = 0;
+    for (const [mail, { outcomes, state, applied }] of [...results].sort((a, b) => a[0].localeCompare(b[0]))) {
+      count[state]++;
+      if (outcomes.has('applied')) receipts++;
+      rows.push({ shop, lottery: name, mail, state, result: state === 'won' ? 'o' : state === 'lost' ? 'x' : '' });
+      if (state === 'applied') pending.push({ shop, lottery: name, mail, applied });
+
+      if (!perEmail.has(mail)) perEmail.set(mail, { won: [], lost: [], both: [] });
+      const e = perEmail.get(mail);
+      if (outcomes.has('won') && outcomes.has('lost')) e.both.push(name);
+      else if (state === 'won') e.won.push(name);
+      else if (state === 'lost') e.lost.push(name);
+    }
+    // Hit rate over the emails that got a result (pending ones are not lost yet)
+    const decided = results.size - count.applied;
+    stats.push({
+      shop,
+      lottery: name,
+      applied: receipts,
+      pending: count.applied,
+      win: count.won,
+      waitlist: count.waitlisted,
+      lose: count.lost,
+      cancel: count.cancelled,
+      total: results.size,
+      rate: `${pct(count.won, decided)} (${count.won}/${decided})`,
+    });
+  }
+
+  const conflicts = [...perEmail]
+    .filter(([, e]) => e.both.length || (e.won.length && e.lost.length))
+    .map(([mail, e]) => ({
+      mail,
+      won: e.won.join(' / '),
+      lost: e.lost.join(' / '),
+      both: e.both.join(' / '),
+    }))
+    .sort((a, b) => a.mail.localeCompare(b.mail));
+
+  return { rows, stats, pending, conflicts };
+}
+
+function summarize(resultMap) {
+  const winEmails = [];
+  const loseEmails = [];
+
+  for (const [mail, result] of resultMap.entries()) {
+    if (result === 'o') winEmails.push(mail);
+    else if (result === 'x') loseEmails.push(mail);
+  }
+
+  // Stable sort for readability
+  winEmails.sort((a, b) => a.localeCompare(b));
+  loseEmails.sort((a, b) => a.localeCompare(b));
+
+  return {
+    winEmails,
+    loseEmails,
+    winUnique: winEmails.length,
+    loseUnique: loseEmails.length,
+    totalUnique: resultMap.size,
+  };
+}
+
+// ======================================================
+// Logs
+// ======================================================
+// email -> state (stateMap) => { won: [email], waitlisted: [...], ... }, sorted
+function emailsByState(stateMap = new Map()) {
+  const out = Object.fromEntries(OUTCOMES.map(o => [o, []]));
+  for (const [mail, state] of stateMap) out[state].push(mail);
+  for (const list of Object.values(out)) list.sort((a, b) => a.localeCompare(b));
+  return out;
+}
+
+function logLottery({ resultMap, stateMap, lotteries }) {
+  const { winEmails, loseEmails, winUnique, loseUnique, totalUnique } = summarize(resultMap);
+  const { stats, pending, conflicts } = summarizeLotteries(lotteries);
+  const byState = emailsByState(stateMap);
+
+  console.log('=====================');
+  console.log(`（当選 unique: ${winUnique}）`);
+  console.log(`（落選 unique: ${loseUnique}）`);
+  console.log(`Unique total（当選＋落選）: ${totalUnique}`);
+  console.log(`（補欠 unique: ${byState.waitlisted.length}）`);
+  console.log(`（申込済・結果待ち unique: ${byState.applied.length}）`);
+  console.log(`（キャンセル unique: ${byState.cancelled.length}）`);
+  console.log('=====================');
+
+  console.log('\n========== HIT RATE ==========');
+  console.log(`当選率: ${pct(winUnique, totalUnique)} (${winUnique}/${totalUnique})`);
+  console.log(`落選率: ${pct(loseUnique, totalUnique)} (${loseUnique}/${totalUnique})`);
+  console.log('==============================');
+
+  console.log('\n========== CHECK DETAIL (UNIQUE) ==========');
+  console.log(`当選 emails (${winEmails.length}):`);
+  for (const mail of winEmails) console.log('  +', mail);
+
+  console.log(`\n落選 emails (${loseEmails.length}):`);
+  for (const mail of loseEmails) console.log('  -', mail);
+  console.log('==========================================');
+
+  console.log('\n========== HIT RATE PER LOTTERY ==========');
+  for (const st of stats) {
+    const extra = [
+      st.waitlist && `補欠 ${st.waitlist}`,
+      st.cancel && `キャンセル ${st.cancel}`,
+      st.pending && `結果待ち ${st.pending}`,
+    ].filter(Boolean).join(', ');
+    console.log(`${st.shop ? `[${st.shop}] ` : ''}${st.lottery}: ${st.rate}${extra ? ` | ${extra}` : ''}`);
+  }
+  console.log(`\nApplied, no result yet (申込済・結果待ち): ${pending.length}`);
+  for (const p of pending) console.log(`  ? ${p.mail} | ${p.shop ? `[${p.shop}] ` : ''}${p.lottery}`);
+  console.log(`\nConflicts (mixed outcomes): ${conflicts.length}`);
+  for (const c of conflicts) {
+    console.log(`  ~ ${c.mail} | o: ${c.won || '-'} | x: ${c.lost || '-'}${c.both ? ` | o+x: ${c.both}` : ''}`);
+  }
+  console.log('==========================================');
+}
+
+// ======================================================
+// EXPORT — 当選(o) first → 補欠 → 結果待ち → 落選(x) → キャンセル (UNIQUE)
+// ======================================================
+function lotterySheets({ resultMap, stateMap, accountMap, originals, wins = [], lotteries }) {
+  const { winEmails, loseEmails, winUnique, loseUnique, totalUnique } = summarize(resultMap);
+  const perLottery = summarizeLotteries(lotteries);
+  const byState = emailsByState(stateMap);
+  const accountsOf = mail => [...(accountMap.get(mail) || [])].filter(Boolean).join(', ');
+  const originalOf = mail => originals?.of(mail) || mail;
+
+  // email -> what it won (joined) + earliest deadline
+  const wonOf = mail => {
+    const list = wins.filter(w => w.mail === mail);
+    const deadlines = list.map(w => w.deadline).filter(Boolean).sort();
+    return {
+      shop: [...new Set(list.map(w => w.shop).filter(Boolean))].join(' / '),
+      lotteryName: [...new Set(list.map(w => w.lotteryName).filter(Boolean))].join(' / '),
+      products: [...new Set(list.map(w => w.name).filter(Boolean))].join(' / '),
+      deadline: formatJst(deadlines[0]),
+    };
+  };
+  // email -> lotteries it applied to with no result yet
+  const pendingOf = mail => perLottery.pending.filter(p => p.mail === mail).map(p => p.lottery).join(' / ');
+
+  return [
+    {
+      name: 'Results',
+      main: true,
+      columns: [
+        { header: 'Email', key: 'mail', width: 40 },
+        { header: 'Original', key: 'original', width: 40 },
+        { header: 'Result', key: 'result', width: 10 },
+        { header: 'State', key: 'state', width: 12 },
+        { header: 'Account', key: 'account', width: 40 },
+        { header: 'Shop', key: 'shop', width: 22 },
+        { header: 'Lottery', key: 'lotteryName', width: 50 },
+        { header: 'Products', key: 'products', width: 60 },
+        { header: 'Deadline (JST)', key: 'deadline', width: 18 },
+        { header: 'Pending', key: 'pending', width: 50 },
+      ],
+      // won -> waitlisted -> applied -> lost -> cancelled
+      rows: OUTCOMES.flatMap(state => byState[state].map(mail => ({
+        mail,
+        original: originalOf(mail),
+        result: resultMap.get(mail) || '',
+        state,
+        account: accountsOf(mail),
+        ...(state === 'won' ? wonOf(mail) : {}),
+        pending: pendingOf(mail),
+      }))),
+    },
+    {
+      name: 'Wins',
+      columns: [
+        { header: 'Email', key: 'mail', width: 40 },
+        { header: 'Original', key: 'original', width: 40 },
+        { header: 'Shop', key: 'shop', width: 22 },
+        { header: 'Lottery', key: 'lotteryName', width: 50 },
+        { header: 'JAN', key: 'jan', width: 16 },
+        { header: 'Product Name', key: 'name', width: 60 },
+        { header: 'Qty', key: 'qty', width: 8 },
+        { header: 'Deadline (JST)', key: 'deadline', width: 18 },
+        { header: 'Date', key: 'date', width: 28 },
+        { header: 'Account', key: 'account', width: 30 },
+      ],
+      rows: wins.map(w => ({ ...w, original: originalOf(w.mail), deadline: formatJst(w.deadline) })),
+      wrap: ['name'],
+    },
+    {
+      name: 'Lotteries',
+      columns: [
+        { header: 'Shop', key: 'shop', width: 22 },
+        { header: 'Lottery', key: 'lottery', width: 50 },
+        { header: 'Applied', key: 'applied', width: 10 },
+        { header: 'Pending', key: 'pending', width: 10 },
+        { header: 'Win', key: 'win', width: 8 },
+        { header: 'Waitlist', key: 'waitlist', width: 10 },
+        { header: 'Lose', key: 'lose', width: 8 },
+        { header: 'Cancelled', key: 'cancel', width: 10 },
+        { header: 'Total', key: 'total', width: 8 },
+        { header: 'Win rate', key: 'rate', width: 20 },
+      ],
+      rows: perLottery.stats,
+    },
+    {
+      name: 'ByLottery',
+      columns: [
+        { header: 'Shop', key: 'shop', width: 22 },
+        { header: 'Lottery', key: 'lottery', width: 50 },
+        { header: 'Email', key: 'mail', width: 40 },
+        { header: 'Original', key: 'original', width: 40 },
+        { header: 'Result', key: 'result', width: 10 },
+        { header: 'State', key: 'state', width: 12 },
+        { header: 'Account', key: 'account', width: 40 },
+      ],
+      rows: perLottery.rows.map(r => ({ ...r, original: originalOf(r.mail), account: accountsOf(r.mail) })),
+    },
+    {
+      name: 'Pending',
+      columns: [
+        { header: 'Account', key: 'account', width: 40 },
+        { header: 'Email', key: 'mail', width: 40 },
+        { header: 'Original', key: 'original', width: 40 },
+        { header: 'Shop', key: 'shop', width: 22 },
+        { header: 'Lottery', key: 'lottery', width: 50 },
+        { header: 'Applied', key: 'applied', width: 28 },
+      ],
+      // Grouped per account (scanned mailbox), then email
+      rows: perLottery.pending
+        .map(p => ({ ...p, original: originalOf(p.mail), account: accountsOf(p.mail) }))
+        .sort((a, b) => a.account.localeCompare(b.account) || a.mail.localeCompare(b.mail)),
+    },
+    {
+      name: 'Conflicts',
+      columns: [
+        { header: 'Email', key: 'mail', width: 40 },
+        { header: 'Won (o)', key: 'won', width: 50 },
+        { header: 'Lost (x)', key: 'lost', width: 50 },
+        { header: 'Won + Lost (same lottery)', key: 'both', width: 50 },
+        { header: 'Account', key: 'account', width: 40 },
+      ],
+      rows: perLottery.conflicts.map(c => ({ ...c, account: accountsOf(c.mail) })),
+    },
+    {
+      name: 'Summary',
+      columns: [
+        { header: 'Metric', key: 'metric', width: 25 },
+        { header: 'Value', key: 'value', width: 40 },
+      ],
+      rows: [
+        { metric: 'Win (unique)', value: winUnique },
+        { metric: 'Lose (unique)', value: loseUnique },
+        { metric: 'Total (unique)', value: totalUnique },
+        { metric: 'Win rate', value: `${pct(winUnique, totalUnique)} (${winUnique}/${totalUnique})` },
+        { metric: 'Lose rate', value: `${pct(loseUnique, totalUnique)} (${loseUnique}/${totalUnique})` },
+        { metric: 'Waitlisted (unique)', value: byState.waitlisted.length },
+        { metric: 'Applied, no result (unique)', value: byState.applied.length },
+        { metric: 'Cancelled (unique)', value: byState.cancelled.length },
+        { metric: 'Pending (email x lottery)', value: perLottery.pending.length },
+        { metric: 'Lotteries', value: perLottery.stats.length },
+        { metric: 'Conflicts', value: perLottery.conflicts.length },
+      ],
+    },
+    {
+      name: 'WinEmails',
+      columns: [{ header: 'Email', key: 'mail', width: 40 }],
+      rows: winEmails.map(mail => ({ mail })),
+    },
+    {
+      name: 'LoseEmails',
+      columns: [{ header: 'Email', key: 'mail', width: 40 }],
+      rows: loseEmails.map(mail => ({ mail })),
+    },
+  ];
+}
+
+const lotteryReport = {
+  name: 'lottery',
+  type: 'lottery',
+  version: 9,
+  subjects: lotterySubjects,
+  ingest: ingestLottery,
+  build: buildLottery,
+  log: logLottery,
+  sheets: lotterySheets,
+  empty: data => `Không tìm thấy email ${data.subject}.`,
+};
+
+module.exports = {
+  OUTCOMES,
+  outcomeOf,
+  lotteryKey,
+  lotteryId,
+  ingestLottery,
+  buildLottery,
+  summarizeLotteries,
+  lotterySheets,
+  lotteryReport,
+};
@@ -0,0 +1,181 @@
+// Roster merge: write results back into OUR account sheet (replaces the
+// VLOOKUP formulas of readme section 4).
+//
+// Roster workbook: first sheet, header in row 1, one row per account email
+// (column whose header contains "mail" / "メール", else column A; matched by
+// canonical address: case / googlemail variants are the same account), any other
+// columns (owner, notes...) are kept untouched.
+//
+// Columns written (added at the end, or overwritten when the header exists):
+//   Lottery   o (win) / x (lose)
+//   Order     ordered (N mails) / ''
+//   Waybill   waybill numbers, comma-joined
+//   Tracking  tracking URL(s)
+//   State     shipped > ordered > won > waitlisted > applied > lost > cancelled
+//             > no result (applied = 抽選申込 receipt, no result yet)
+// Accounts with no mail at all get State "no result", highlighted.
+//
+// Data comes from the message store (lib/store.js), every provider/account:
+// run lottery / orders / shipping first so the store is up to date.
+
+const ExcelJS = require('exceljs');
+const { openStore } = require('../lib/store');
+const { canonicalEmail } = require('../lib/email');
+const { buildLottery, OUTCOMES } = require('./lottery');
+const { buildShipping } = require('./shipping');
+
+const MERGE_COLUMNS = ['Lottery', 'Order', 'Waybill', 'Tracking', 'State'];
+
+const NO_RESULT = 'no result';
+const NO_RESULT_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFE699' } };
+const NO_FILL = { type: 'pattern', pattern: 'none' };
+
+// Every State stateOf() can return, in the header comment's order
+const STATES = ['shipped', 'ordered', ...OUTCOMES, NO_RESULT];
+
+// Our highlight (left by an earlier merge), not the roster's own formatting
+const isNoResultFill = fill => fill?.pattern === 'solid' && fill.fgColor?.argb === NO_RESULT_FILL.fgColor.argb;
+
+// Roster cells may be hyperlinks ({ text }); both sides canonical (lib/email.js)
+const normEmail = v => canonicalEmail(v?.text ?? v ?? '');
+
+// ======================================================
+// Results per email (from the store)
+// ======================================================
+function collectResults(store, { since, until }) {
+  const query = type => store.query({ type, since, until });
+  const results = new Map();
+  const entry = mail => {
+    const email = normEmail(mail);
+    if (!results.has(email)) results.set(email, { lottery: '', outcome: '', orders: 0, waybills: new Set(), urls: new Set() });
+    return results.get(email);
+  };
+
+  const { resultMap, stateMap } = buildLottery(query('lottery'));
+  for (const [email, result] of resultMap) entry(email).lottery = result;
+  for (const [email, state] of stateMap) entry(email).outcome = state;
+
+  const orderMails = new Set();
+  for (const r of query('order')) {
+    const { to } = r.fields;
+    if (to && !orderMails.has(`${r.key}|${to}`)) {
+      orderMails.add(`${r.key}|${to}`);
+      entry(to).orders++;
+    }
+  }
+
+  for (const row of buildShipping(query('shipping')).rows) {
+    const e = entry(row.to);
+    if (row.waybillNo) e.waybills.add(row.waybillNo);
+    if (row.trackingUrl) e.urls.add(row.trackingUrl);
+  }
+
+  return results;
+}
+
+function stateOf(r) {
+  if (!r) return NO_RESULT;
+  if (r.waybills.size || r.urls.size) return 'shipped';
+  if (r.orders) return 'ordered';
+  return r.outcome || NO_RESULT;
+}
+
+// ======================================================
+// Roster sheet
+// ======================================================
+function findEmailColumn(headerRow) {
+  let col = 0;
+  headerRow.eachCell((cell, n) => {
+    if (!col && /mail|メール/i.test(String(cell.value || ''))) col = n;
+  });
+  return col || 1;
+}
+
+// header -> column number; missing headers are appended after the last column
+function ensureColumns(ws, headers) {
+  const headerRow = ws.getRow(1);
+  const byName = new Map();
+  headerRow.eachCell((cell, n) => byName.set(String(cell.value || '').trim(), n));
+
+  let last = headerRow.cellCount;
+  const cols = {};
+  for (const h of headers) {
+    if (!byName.has(h)) {
+      last++;
+      headerRow.getCell(last).value = h;
+      headerRow.getCell(last).font = { bold: true };
+      ws.getColumn(last).width = h === 'Tracking' ? 55 : 14;
+      byName.set(h, last);
+    }
+    cols[h] = byName.get(h);
+  }
+  return cols;
+}
+
+async function mergeRoster({ rosterPath, outPath, since, until, storePath }) {
+  const results = collectResults(openStore(storePath), { since, until });
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(rosterPath);
+  const ws = workbook.worksheets[0];
+  if (!ws) throw new Error(`Roster has no sheet: ${rosterPath}`);
+
+  const emailCol = findEmailColumn(ws.getRow(1));
+  const cols = ensureColumns(ws, MERGE_COLUMNS);
+
+  const counts = { rows: 0, [NO_RESULT]: 0 };
+  const seen = new Set();
+
+  ws.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const email = normEmail(row.getCell(emailCol).value);
+    if (!email) return;
+
+    counts.rows++;
+    seen.add(email);
+
+    const r = results.get(email);
+    const state = stateOf(r);
+    counts[state] = (counts[state] || 0) + 1;
+
+    const urls = r ? [...r.urls] : [];
+    row.getCell(cols.Lottery).value = r?.lottery || '';
+    row.getCell(cols.Order).value = r?.orders ? `ordered (${r.orders})` : '';
+    row.getCell(cols.Waybill).value = r ? [...r.waybills].join(', ') : '';
+    row.getCell(cols.Tracking).value = urls.length === 1
+      ? { text: urls[0], hyperlink: urls[0] }
+      : urls.join('\n');
+    row.getCell(cols.State).value = state;
+
+    if (state === NO_RESULT) {
+      row.getCell(cols.State).fill = NO_RESULT_FILL;
+      row.getCell(emailCol).fill = NO_RESULT_FILL;
+    } else {
+      // re-merging an older output: drop the old highlight (email cell: only ours)
+      row.getCell(cols.State).fill = NO_FILL;
+      if (isNoResultFill(row.getCell(emailCol).fill)) row.getCell(emailCol).fill = NO_FILL;
+    }
+  });
+
+  await workbook.xlsx.writeFile(outPath);
+
+  const notInRoster = [...results.keys()].filter(e => !seen.has(e)).sort();
+
+  console.log('\n========== ROSTER MERGE ==========');
+  console.log(`Roster accounts: ${counts.rows}`);
+  for (const s of STATES) {
+    console.log(`${s}: ${counts[s] || 0}`);
+  }
+  console.log(`Results NOT in roster (${notInRoster.length}):`);
+  for (const mail of notInRoster) console.log('  ?', mail);
+  console.log('==================================');
+  console.log(`Excel exported: ${outPath}`);
+
+  return { counts, notInRoster };
+}
+
+module.exports = {
+  MERGE_COLUMNS,
+  NO_RESULT,
+  mergeRoster,
+};
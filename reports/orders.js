@@ -0,0 +1,146 @@
+// Pokemon Center "Order Completed" report (NON-UNIQUE)
+// Subject: [ポケモンセンターオンライン]注文完了のお知らせ (rules.json "order")
+//
+// Excel columns (ONLY):
+// Date, Shop, To, Original, JAN, Product Name, Qty, Subtotal, Account
+//
+// Rules:
+// - No unique aggregation (same mailbox can appear many times)
+// - "To" = account the mail belongs to (lib/recipients.js: forwarding wrapper,
+//   hotmail/outlook From, To / Delivered-To / X-Original-To, alias map), first one
+// - "To" column must be pure email only (no display name), canonical (lib/email.js);
+//   "Original" = the address as received
+// - Parse 【商品情報】 lines containing "小計" into rows (one row per product line)
+// - Product Name: remove leading 【抽選販売】 and trailing 【...発送予定】 (best-effort)
+// - Shop = retailer plugin that recognized the mail (lib/shops)
+// - Account = scanned mailbox the mail was read from (multi-account runs)
+// - Each mail is stored once by Message-ID (lib/store.js): re-running over an
+//   overlapping window does not duplicate rows.
+
+const { resolveTargets } = require('../lib/recipients');
+const { bodyToText } = require('../lib/mime');
+const { getRule, matchMail, extractFields } = require('../lib/rules');
+const { detectShop, shopName } = require('../lib/shops');
+const { formatDate } = require('../lib/format');
+const { canonicalEmail } = require('../lib/email');
+
+// ======================================================
+// Ingest (one mail -> store fields): recipient + product lines
+// ======================================================
+async function ingestOrder(source, h, { rulesPath } = {}) {
+  const rule = getRule('order', rulesPath);
+  if (!matchMail(rule, h)) return null;
+
+  const fullText = bodyToText(await source.fetchBody(h.id));
+
+  // Decide "To" column email (only email): forwarding / headers / alias map
+  const to = resolveTargets(h, fullText)[0] || '';
+  const shop = detectShop(h, fullText);
+  const { products = [], ...rest } = extractFields(rule, fullText, h, shop);
+
+  return { to, shop: shop.id, products, ...rest };
+}
+
+// ======================================================
+// Build: one row per product line
+// ======================================================
+function buildOrders(records, { rulesPath } = {}) {
+  const subject = getRule('order', rulesPath).label;
+  const rows = [];     // Excel rows (one row per product line)
+  const mailLogs = []; // Message-level logs
+
+  let parsedProductLinesTotal = 0;
+  let noProductFound = 0;
+
+  for (const r of records) {
+    const { products } = r.fields;
+    const original = r.fields.to;
+    const to = canonicalEmail(original);
+    const dateStr = formatDate(r.date);
+    const shop = shopName(r.fields.shop);
+    const account = r.account;
+
+    mailLogs.push({ date: dateStr, shop, to, from: r.from, items: products.length });
+
+    if (products.length === 0) {
+      noProductFound++;
+      // still write one row for traceability
+      rows.push({ date: dateStr, shop, to, original, jan: '', name: '', qty: '', subtotal: '', account });
+      continue;
+    }
+
+    parsedProductLinesTotal += products.length;
+
+    for (const p of products) {
+      rows.push({ date: dateStr, shop, to, original, ...p, account });
+    }
+  }
+
+  return { subject, rows, mailLogs, parsedProductLinesTotal, noProductFound };
+}
+
+// ======================================================
+// Logs
+// ======================================================
+function logOrders({ rows, mailLogs, parsedProductLinesTotal, noProductFound }) {
+  console.log('\n========== MAIL LIST ==========');
+  console.log(`Matched messages: ${mailLogs.length}`);
+  for (const it of mailLogs) {
+    console.log(
+      `date=${it.date || 'N/A'} | shop=${it.shop || 'N/A'} | to=${it.to || 'N/A'} | from=${it.from || 'N/A'} | items=${it.items}`
+    );
+  }
+  console.log('===============================');
+
+  console.log('\n========== EXPORT STATS ==========');
+  console.log(`Excel rows: ${rows.length}`);
+  console.log(`Total product lines parsed: ${parsedProductLinesTotal}`);
+  console.log(`Rows with NO product lines: ${noProductFound}`);
+  if (mailLogs.length) {
+    console.log(`Avg product lines per message: ${(parsedProductLinesTotal / mailLogs.length).toFixed(2)}`);
+  }
+  console.log('=================================');
+}
+
+// ======================================================
+// EXPORT (ONLY requested columns)
+// ======================================================
+function ordersSheets({ rows }) {
+  return [
+    {
+      name: 'Orders',
+      main: true,
+      columns: [
+        { header: 'Date', key: 'date', width: 28 },
+        { header: 'Shop', key: 'shop', width: 22 },
+        { header: 'To', key: 'to', width: 30 },
+        { header: 'Original', key: 'original', width: 30 },
+        { header: 'JAN', key: 'jan', width: 16 },
+        { header: 'Product Name', key: 'name', width: 70 },
+        { header: 'Qty', key: 'qty', width: 8 },
+        { header: 'Subtotal', key: 'subtotal', width: 12 },
+        { header: 'Account', key: 'account', width: 30 },
+      ],
+      rows,
+    },
+  ];
+}
+
+const ordersReport = {
+  name: 'order-complete',
+  type: 'order',
+  version: 4,
+  subjects: ({ rulesPath } = {}) => getRule('order', rulesPath).searchSubjects,
+  ingest: ingestOrder,
+  build: buildOrders,
+  log: logOrders,
+  sheets: ordersSheets,
+  empty: data => `Không tìm thấy email subject: ${data.subject}`,
+};
+
+module.exports = {
+  ingestOrder,
+  buildOrders,
+  ordersSheets,
+  ordersReport,
+};
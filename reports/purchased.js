@@ -0,0 +1,39 @@
+// 🧾 List & thống kê mail [ポケモンセンターオンライン]注文完了のお知らせ (console only)
+
+// Same store records as the orders report (type 'order'): one parse serves both.
+
+const { getRule } = require('../lib/rules');
+const { ordersReport } = require('./orders');
+
+function buildPurchased(records, { rulesPath } = {}) {
+  const subject = getRule('order', rulesPath).label;
+  const purchasedMails = records.map(r => ({ from: r.from, to: r.to, account: r.account }));
+  return { subject, purchasedMails };
+}
+
+function logPurchased({ purchasedMails }) {
+  // 🟩 In danh sách 注文完了
+  console.log('===== 🎉 注文完了 =====');
+  purchasedMails.forEach(m => {
+    const via = m.account ? ` | Account: ${m.account}` : '';
+    console.log(`注文完了: ${m.from} | To: ${m.to}${via}`);
+  });
+  console.log(`注文完了: ${purchasedMails.length}）\n`);
+}
+
+const purchasedReport = {
+  name: 'purchased',
+  type: ordersReport.type,
+  version: ordersReport.version,
+  subjects: ordersReport.subjects,
+  ingest: ordersReport.ingest,
+  build: buildPurchased,
+  log: logPurchased,
+  sheets: null,
+  empty: data => `Không tìm thấy email ${data.subject}.`,
+};
+
+module.exports = {
+  buildPurchased,
+  purchasedReport,
+};
@@ -0,0 +1,157 @@
+// Payment-deadline reminders: wins (当選) with a 購入期限 and NO 注文完了 mail yet.
+//
+// - overdue:  deadline already passed (still listed: someone must check it)
+// - due soon: deadline within the next N hours (default 24)
+// Wins without a parsed deadline are counted but not listed.
+//
+// Same matching as the ledger (reports/ledger.js): each win needs its own
+// later order line of that email (same JAN / product name when known).
+
+const { openStore } = require('../lib/store');
+const { formatJst } = require('../lib/format');
+const { syncReports, finishReport } = require('./run');
+const { buildLedger, ACTION_NO_ORDER } = require('./ledger');
+const { lotteryReport } = require('./lottery');
+const { ordersReport } = require('./orders');
+
+const DEFAULT_HOURS = 24;
+// Bridge /reminders: how far back to look for 当選 mails
+const DEFAULT_DAYS = 30;
+const HOUR_MS = 60 * 60 * 1000;
+
+// --hours / ?hours= -> hours (empty = DEFAULT_HOURS); NaN would list every win
+function parseHours(value) {
+  if (value == null || value === '') return DEFAULT_HOURS;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0) {
+    throw new Error(`Invalid hours: ${value} (expected a number ≥ 0)`);
+  }
+  return hours;
+}
+
+// ?days= -> days (empty = DEFAULT_DAYS); 0 / negative would start the window in the future
+function parseDays(value) {
+  if (value == null || value === '') return DEFAULT_DAYS;
+  const days = Number(value);
+  if (!Number.isFinite(days) || days <= 0) {
+    throw new Error(`Invalid days: ${value} (expected a number > 0)`);
+  }
+  return days;
+}
+
+// Wins still waiting for an order, with their deadline state
+function findDueWins({ lottery, orders }, { hours = DEFAULT_HOURS, now = Date.now() } = {}) {
+  const { rows } = buildLedger({ lottery, orders, shipping: [] });
+  const open = rows.filter(r => r.action === ACTION_NO_ORDER);
+
+  const due = [];
+  let noDeadline = 0;
+
+  for (const r of open) {
+    if (!r.deadline) {
+      noDeadline++;
+      continue;
+    }
+    const hoursLeft = (new Date(r.deadline).getTime() - now) / HOUR_MS;
+    if (hoursLeft > hours) continue;
+
+    due.push({
+      email: r.email,
+      original: r.original || r.email,
+      lotteryName: r.lotteryName || '',
+      jan: r.jan,
+      name: r.name,
+      deadline: r.deadline,
+      hoursLeft: Math.round(hoursLeft * 10) / 10,
+      state: hoursLeft < 0 ? 'overdue' : 'due soon',
+      account: r.account,
+    });
+  }
+
+  due.sort((a, b) => a.deadline.localeCompare(b.deadline) || a.email.localeCompare(b.email));
+  return { due, open: open.length, noDeadline };
+}
+
+// Store only (no mail server): used by the bridges' /reminders endpoint
+function listReminders({ hours = DEFAULT_HOURS, since, until, storePath } = {}) {
+  const store = openStore(storePath);
+  const query = type => store.query({ type, since, until });
+  return findDueWins({ lottery: query('lottery'), orders: query('order') }, { hours });
+}
+
+// ======================================================
+// Logs
+// ======================================================
+function logReminders({ due, open, noDeadline, hours }) {
+  console.log(`\n========== PAYMENT DEADLINES (≤ ${hours}h) ==========`);
+  console.log(`Wins without 注文完了: ${open} (no deadline parsed: ${noDeadline})`);
+  console.log(`overdue: ${due.filter(d => d.state === 'overdue').length}`);
+  console.log(`due soon: ${due.filter(d => d.state === 'due soon').length}`);
+
+  // Grouped per account email
+  const byEmail = new Map();
+  for (const d of due) {
+    if (!byEmail.has(d.email)) byEmail.set(d.email, []);
+    byEmail.get(d.email).push(d);
+  }
+  for (const [email, list] of byEmail) {
+    console.log(`\n${email}`);
+    for (const d of list) {
+      const mark = d.state === 'overdue' ? '!!' : ' !';
+      console.log(`  ${mark} ${formatJst(d.deadline)} JST (${d.hoursLeft}h) | ${d.lotteryName || '-'} | ${d.name || d.jan || '-'}`);
+    }
+  }
+  console.log('==================================================');
+}
+
+// ======================================================
+// Export
+// ======================================================
+function reminderSheets({ due }) {
+  return [
+    {
+      name: 'Reminders',
+      main: true,
+      columns: [
+        { header: 'Email', key: 'email', width: 34 },
+        { header: 'Original', key: 'original', width: 34 },
+        { header: 'State', key: 'state', width: 10 },
+        { header: 'Deadline (JST)', key: 'deadlineJst', width: 18 },
+        { header: 'Hours Left', key: 'hoursLeft', width: 10 },
+        { header: 'Lottery', key: 'lotteryName', width: 50 },
+        { header: 'JAN', key: 'jan', width: 16 },
+        { header: 'Product Name', key: 'name', width: 60 },
+        { header: 'Account', key: 'account', width: 30 },
+      ],
+      rows: due.map(d => ({ ...d, deadlineJst: formatJst(d.deadline) })),
+    },
+  ];
+}
+
+const remindersReport = {
+  name: 'reminders',
+  log: logReminders,
+  sheets: reminderSheets,
+  empty: data => `Không có 当選 nào chưa 注文完了 với hạn trong ${data.hours}h.`,
+};
+
+// Sync lottery + orders of one provider (unless offline), then list from the whole store
+async function runReminders(provider, options = {}) {
+  const hours = parseHours(options.hours);
+  const store = openStore(options.storePath);
+  if (!options.offline) await syncReports([lotteryReport, ordersReport], provider, store, options);
+
+  const query = type => store.query({ type, since: options.since, until: options.until });
+  const result = findDueWins({ lottery: query('lottery'), orders: query('order') }, { hours });
+  return finishReport(remindersReport, { ...result, hours, messages: result.due.length }, { ...options, provider });
+}
+
+module.exports = {
+  DEFAULT_HOURS,
+  DEFAULT_DAYS,
+  parseHours,
+  parseDays,
+  findDueWins,
+  listReminders,
+  runReminders,
+};
@@ -0,0 +1,186 @@
+// Run one report: sync every account of a provider into the message store,
+// then build ONE output from a store query.
+//
+// A report module exports a descriptor:
+//   { name, type, version,
+//     subjects(options)            -> subjects to search for
+//     ingest(source, h, options)   -> fields to store for one mail, or null (not ours)
+//     build(records, options)      -> data for log() / sheets()
+//     log(data), sheets(data) | null, empty(data) }
+//
+// Mails already in the store (same Message-ID, same type, version >= report.version,
+// same rules.json entry for the type, same alias map) are not parsed again. Bump
+// `version` when ingest() changes to re-parse old mails; editing rules.json or
+// aliases.json does it by itself.
+//
+// Incremental sync: after a run, the mailbox position is saved per (account, type)
+// (lib/checkpoints.js); the next run only asks for mail added since then.
+// First run / --full / expired checkpoint / --since earlier than the window the
+// checkpoint has covered (coveredSince) / report version, rule or alias map
+// changed since the checkpoint (parsedAs, so old mails are listed and re-parsed)
+// => search the since/until window.
+
+const { withEachMailSource } = require('../lib/mail_source');
+const { openStore, messageKey } = require('../lib/store');
+const { openCheckpoints, checkpointKey } = require('../lib/checkpoints');
+const { writeSheets } = require('../lib/output');
+const { mapLimit } = require('../lib/retry');
+const { getRule } = require('../lib/rules');
+const { loadAliases } = require('../lib/recipients');
+
+// Message deleted between listing and fetching (Gmail history keeps it)
+function isNotFound(err) {
+  return err?.code === 404 || err?.response?.status === 404;
+}
+
+// Does the checkpoint's history reach back to `since`? coveredSince = start of
+// the last full scan ('' = all mail); checkpoints saved before it existed: no
+function covers(saved, since) {
+  if (saved.coveredSince == null) return false;
+  if (saved.coveredSince === '') return true;
+  return Boolean(since) && since.getTime() >= new Date(saved.coveredSince).getTime();
+}
+
+// Mail ids to look at: new since the saved checkpoint, else the whole window
+async function listIds(report, source, saved, options) {
+  const { since, until } = options;
+  const subjects = report.subjects(options);
+
+  if (saved && !covers(saved, since)) {
+    console.log(`[INFO] --since is before the synced window (${source.account || source.provider}), full scan`);
+  } else if (saved) {
+    const ids = await source.searchSince(saved, { subjects });
+    if (ids) return { ids, mode: 'incremental' };
+    console.log(`[WARN] sync checkpoint expired (${source.account || source.provider}), full scan of the window`);
+  }
+
+  return { ids: await source.search({ subjects, since, until }), mode: 'full' };
+}
+
+// Search one mailbox and store every new mail of the report's type
+async function syncReport(report, source, store, checkpoints, options = {}) {
+  const account = source.account || '';
+  const stateKey = checkpointKey(source.provider, account, report.type);
+  const aliases = loadAliases().fingerprint;
+  const rules = getRule(report.type, options.rulesPath).fingerprint + (aliases ? `:${aliases}` : '');
+  const parsedAs = `${report.version}:${rules}`;
+
+  let saved = options.full ? null : checkpoints.get(stateKey);
+  if (saved && saved.parsedAs !== parsedAs) {
+    console.log(`[INFO] ${report.type}: report version / rules / aliases changed since the last sync (${account || source.provider}), full scan`);
+    saved = null;
+  }
+
+  // Position BEFORE listing: mail arriving meanwhile is seen again next run (deduped)
+  const next = await source.checkpoint();
+  const { ids, mode } = await listIds(report, source, saved, options);
+
+  let added = 0;
+  let cached = 0;
+
+  // source.concurrency: how many mails may be fetched at once (Gmail API); IMAP = 1
+  await mapLimit(ids, source.concurrency || 1, async id => {
+    let h;
+    try {
+      h = await source.fetchHeaders(id);
+    } catch (err) {
+      if (isNotFound(err)) return;
+      throw err;
+    }
+    if (!h) return;
+    const key = messageKey(source.provider, account, h);
+    const sighting = { provider: source.provider, account, id };
+
+    const known = store.get(key);
+    if (known && known.type === report.type && (known.version || 0) >= report.version && known.rules === rules) {
+      store.see(key, sighting);
+      cached++;
+      return;
+    }
+
+    const fields = await report.ingest(source, h, options);
+    if (!fields) return;
+
+    store.put({
+      key,
+      type: report.type,
+      version: report.version,
+      rules,
+      messageId: h.messageId || '',
+      date: h.date ? new Date(h.date).toISOString() : '',
+      internalDate: h.internalDate ? new Date(h.internalDate).toISOString() : '',
+      subject: h.subject,
+      from: h.from,
+      to: h.to,
+      fields,
+    }, sighting);
+    added++;
+  });
+
+  // A window ending in the past did not see the newest mail: keep the old position
+  if (mode === 'incremental' || !options.until || options.until.getTime() >= Date.now()) {
+    const coveredSince = mode === 'incremental' ? saved.coveredSince : (options.since?.toISOString() || '');
+    checkpoints.set(stateKey, { ...next, coveredSince, parsedAs });
+  }
+
+  console.log(`Store [${mode}]: ${ids.length} listed, ${added} parsed, ${cached} cached (${account})`);
+  return account;
+}
+
+// Log + export already built data
+async function finishReport(report, data, { outPath, format, provider }) {
+  if (data.messages === 0) {
+    console.log(report.empty(data));
+    return data;
+  }
+
+  report.log(data);
+  if (outPath && report.sheets) {
+    await writeSheets(report.sheets(data), {
+      outPath,
+      format,
+      creator: `${provider}-${report.name}-export`,
+    });
+  }
+  return data;
+}
+
+// Sync several reports over ONE connection per account (ledger: lottery + orders + shipping)
+async function syncReports(reports, provider, store, options = {}) {
+  const checkpoints = openCheckpoints(options.syncStatePath);
+  const accounts = await withEachMailSource(provider, async source => {
+    for (const report of reports) await syncReport(report, source, store, checkpoints, options);
+    return source.account || '';
+  }, options);
+  // Drop superseded lines once they outnumber live records
+  if (store.lines > store.size * 2) store.compact();
+  return accounts;
+}
+
+// options.full: ignore saved checkpoints, rescan the since/until window
+// options.offline: no mail server, only what the store already holds
+// (--account then matches the stored mailbox address / iCloud account name)
+async function runReport(report, provider, options = {}) {
+  const store = openStore(options.storePath);
+
+  let accounts = options.account ? [options.account] : undefined;
+  if (!options.offline) accounts = await syncReports([report], provider, store, options);
+
+  const records = store.query({
+    type: report.type,
+    provider,
+    accounts,
+    since: options.since,
+    until: options.until,
+  });
+
+  const data = { ...report.build(records, options), messages: records.length };
+  return finishReport(report, data, { ...options, provider });
+}
+
+module.exports = {
+  syncReport,
+  syncReports,
+  finishReport,
+  runReport,
+};
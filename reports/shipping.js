@@ -0,0 +1,180 @@
+// Pokemon Center "Shipping" report (NON-UNIQUE)
+// Subject: 【ポケモンセンターオンライン】商品が出荷されました (rules.json "shipping")
+//
+// Excel columns (ONLY):
+// Date, Shop, To, Original, WaybillNo, Product Name, Price, Address, TrackingUrl, Account
+//
+// Rules:
+// - No unique aggregation
+// - "To" = every account the mail belongs to (lib/recipients.js: forwarding
+//   wrapper, hotmail/outlook From, To / Delivered-To / X-Original-To, alias map)
+// - "To" is pure email only, canonical (lib/email.js); "Original" = as received
+// - Parse 【商品情報】 line like:
+//   9900000007003 【抽選販売】XXXX 5,400円 1個
+//   => Product Name: XXXX, Price: 5,400
+// - Shop = retailer plugin that recognized the mail (lib/shops)
+// - Account = scanned mailbox the mail was read from (multi-account runs)
+// - Each mail is stored once by Message-ID (lib/store.js)
+
+const { resolveTargets } = require('../lib/recipients');
+const { bodyToText } = require('../lib/mime');
+const { getRule, matchMail, extractFields } = require('../lib/rules');
+const { detectShop, shopName } = require('../lib/shops');
+const { formatDate } = require('../lib/format');
+const { canonicalEmail } = require('../lib/email');
+
+// ======================================================
+// Ingest (one mail -> store fields)
+// ======================================================
+async function ingestShipping(source, h, { rulesPath } = {}) {
+  const rule = getRule('shipping', rulesPath);
+  if (!matchMail(rule, h)) return null;
+
+  const bodyText = bodyToText(await source.fetchBody(h.id));
+  // trackingUrl / waybillNo / address / productName / price, plus per-JAN
+  // lines (products) for the lifecycle ledger (reports/ledger.js)
+  const shop = detectShop(h, bodyText);
+  const fields = extractFields(rule, bodyText, h, shop);
+
+  return {
+    targets: resolveTargets(h, bodyText),
+    shop: shop.id,
+    waybillNo: '',
+    productName: '',
+    price: '',
+    products: [],
+    address: '',
+    trackingUrl: '',
+    ...fields,
+  };
+}
+
+// ======================================================
+// Build: one row per (mail, target email)
+// ======================================================
+function buildShipping(records, { rulesPath } = {}) {
+  const subject = getRule('shipping', rulesPath).label;
+  const rows = [];
+  const mailLogs = [];
+
+  let noProductFound = 0;
+  let noAddressFound = 0;
+  let noWaybillFound = 0;
+  let noUrlFound = 0;
+
+  for (const r of records) {
+    const { targets, waybillNo, productName, price, address, trackingUrl } = r.fields;
+    const dateStr = formatDate(r.date);
+    const shop = shopName(r.fields.shop);
+
+    if (!trackingUrl) noUrlFound++;
+    if (!waybillNo) noWaybillFound++;
+    if (!address) noAddressFound++;
+    if (!productName) noProductFound++;
+
+    mailLogs.push({
+      date: dateStr,
+      shop,
+      to: targets.join(', '),
+      from: r.from,
+      hasProduct: productName ? 'YES' : 'NO',
+      hasAddr: address ? 'YES' : 'NO',
+      hasWaybill: waybillNo ? 'YES' : 'NO',
+      hasUrl: trackingUrl ? 'YES' : 'NO',
+    });
+
+    // Expand all target emails
+    for (const email of targets) {
+      rows.push({
+        date: dateStr,
+        shop,
+        to: canonicalEmail(email),
+        original: email,
+        waybillNo,
+        productName,
+        price,
+        address,
+        trackingUrl,
+        account: r.account,
+      });
+    }
+  }
+
+  return {
+    subject,
+    rows,
+    mailLogs,
+    noProductFound,
+    noAddressFound,
+    noWaybillFound,
+    noUrlFound,
+  };
+}
+
+// ======================================================
+// Logs
+// ======================================================
+function logShipping(data) {
+  console.log('\n========== MAIL LIST ==========');
+  console.log(`Matched messages: ${data.mailLogs.length}`);
+  for (const it of data.mailLogs) {
+    console.log(
+      `date=${it.date || 'N/A'} | shop=${it.shop || 'N/A'} | to=${it.to || 'N/A'} | from=${it.from || 'N/A'} | product=${it.hasProduct} | addr=${it.hasAddr} | waybill=${it.hasWaybill} | url=${it.hasUrl}`
+    );
+  }
+  console.log('===============================');
+
+  console.log('\n========== EXPORT STATS ==========');
+  console.log(`Excel rows: ${data.rows.length}`);
+  console.log(`NO product: ${data.noProductFound}`);
+  console.log(`NO address: ${data.noAddressFound}`);
+  console.log(`NO waybill: ${data.noWaybillFound}`);
+  console.log(`NO url: ${data.noUrlFound}`);
+  console.log('=================================');
+}
+
+// ======================================================
+// Export
+// ======================================================
+function shippingSheets({ rows }) {
+  return [
+    {
+      name: 'Shipping',
+      main: true,
+      columns: [
+        { header: 'Date', key: 'date', width: 28 },
+        { header: 'Shop', key: 'shop', width: 22 },
+        { header: 'To', key: 'to', width: 30 },
+        { header: 'Original', key: 'original', width: 30 },
+        { header: 'WaybillNo', key: 'waybillNo', width: 16 },
+        { header: 'Product Name', key: 'productName', width: 70 },
+        { header: 'Price', key: 'price', width: 12 },
+        { header: 'Address', key: 'address', width: 55 },
+        { header: 'TrackingUrl', key: 'trackingUrl', width: 55 },
+        { header: 'Account', key: 'account', width: 30 },
+      ],
+      rows,
+      links: ['trackingUrl'],
+      wrap: ['productName', 'address', 'trackingUrl'],
+    },
+  ];
+}
+
+const shippingReport = {
+  name: 'pokemon-shipping',
+  type: 'shipping',
+  version: 5,
+  subjects: ({ rulesPath } = {}) => getRule('shipping', rulesPath).searchSubjects,
+  ingest: ingestShipping,
+  build: buildShipping,
+  log: logShipping,
+  sheets: shippingSheets,
+  empty: data => `Không tìm thấy mail 「${data.subject}」`,
+};
+
+module.exports = {
+  ingestShipping,
+  buildShipping,
+  shippingSheets,
+  shippingReport,
+};
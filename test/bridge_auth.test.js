@@ -0,0 +1,150 @@
+// lib/otp/auth.js through the bridge HTTP server (lib/otp/index.js): keys,
+// HMAC signatures, CORS origins, recipient-scoped keys.
+
+process.env.BRIDGE_AUTH = '';
+process.env.BRIDGE_API_KEY = '';
+process.env.BRIDGE_CORS_ORIGINS = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { matchCode } = require('../lib/code_wait');
+const { createRouter, createBridgeServer } = require('../lib/otp/index');
+const { signRequest } = require('../lib/otp/auth');
+
+const FULL_KEY = 'full-key-0123456789';
+const SCOPED_KEY = 'scoped-key-0123456789';
+const ORIGIN = 'http://localhost:3000';
+
+// Backend with fixed candidates (shape: lib/otp/index.js header)
+function fakeBackend(candidates) {
+  const getCode = async query => matchCode(candidates, query);
+  return {
+    id: 'icloud:test',
+    kind: 'icloud',
+    name: 'test',
+    account: () => 'box@icloud.com',
+    start() {},
+    health: () => ({ ok: true, provider: 'fake' }),
+    listRecent: async () => [],
+    getCode,
+    wait: getCode,
+  };
+}
+
+async function startBridge(t, candidates) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-auth-'));
+  const keysPath = path.join(dir, 'bridge_keys.json');
+  fs.writeFileSync(keysPath, JSON.stringify({
+    keys: [
+      { name: 'ops', key: FULL_KEY },
+      { name: 'worker', key: SCOPED_KEY, recipients: ['a@icloud.com'] },
+    ],
+    origins: [ORIGIN],
+  }));
+  const router = createRouter([fakeBackend(candidates)], { routesPath: path.join(dir, 'none.json') });
+  const server = createBridgeServer(router, { keysPath });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async (url, { method = 'GET', headers = {} } = {}) => {
+    const res = await fetch(base + url, { method, headers });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  };
+}
+
+const signed = (name, key, url, { timestamp = Date.now(), method = 'GET', nonce = '' } = {}) => ({
+  'X-Bridge-Key': name,
+  'X-Bridge-Timestamp': String(timestamp),
+  'X-Bridge-Signature': signRequest(key, { timestamp, method, url, nonce }),
+  ...(nonce ? { 'X-Bridge-Nonce': nonce } : {}),
+});
+
+test('no key / wrong key -> 401', async t => {
+  const call = await startBridge(t, []);
+
+  const none = await call('/health');
+  assert.equal(none.status, 401);
+  assert.equal(none.body.error, 'missing_key');
+
+  const wrong = await call('/health', { headers: { 'X-Api-Key': 'nope' } });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.error, 'invalid_key');
+
+  const ok = await call('/health', { headers: { Authorization: `Bearer ${FULL_KEY}` } });
+  assert.equal(ok.status, 200);
+});
+
+test('unlisted Origin -> 403 even with a key, preflight included', async t => {
+  const call = await startBridge(t, []);
+
+  const page = await call('/health', { headers: { Origin: 'https://evil.example', 'X-Api-Key': FULL_KEY } });
+  assert.equal(page.status, 403);
+  assert.equal(page.body.error, 'origin_not_allowed');
+  assert.equal(page.headers.get('access-control-allow-origin'), null);
+
+  const preflight = await call('/code', { method: 'OPTIONS', headers: { Origin: 'https://evil.example' } });
+  assert.equal(preflight.status, 403);
+
+  const listed = await call('/code', { method: 'OPTIONS', headers: { Origin: ORIGIN } });
+  assert.equal(listed.status, 204);
+  assert.equal(listed.headers.get('access-control-allow-origin'), ORIGIN);
+});
+
+test('HMAC: stale, tampered and replayed signatures -> 401', async t => {
+  const call = await startBridge(t, []);
+
+  const ok = await call('/health', { headers: signed('ops', FULL_KEY, '/health') });
+  assert.equal(ok.status, 200);
+
+  const stale = await call('/health', { headers: signed('ops', FULL_KEY, '/health', { timestamp: Date.now() - 10 * 60 * 1000 }) });
+  assert.equal(stale.body.error, 'stale_signature');
+
+  const tampered = await call('/recent?limit=50', { headers: signed('ops', FULL_KEY, '/recent?limit=1') });
+  assert.equal(tampered.status, 401);
+  assert.equal(tampered.body.error, 'invalid_signature');
+
+  const headers = signed('ops', FULL_KEY, '/recent');
+  assert.equal((await call('/recent', { headers })).status, 200);
+  const replay = await call('/recent', { headers });
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.error, 'replayed_signature');
+
+  // same timestamp, different nonce = 2 requests
+  const timestamp = Date.now();
+  assert.equal((await call('/recent', { headers: signed('ops', FULL_KEY, '/recent', { timestamp, nonce: 'n1' }) })).status, 200);
+  assert.equal((await call('/recent', { headers: signed('ops', FULL_KEY, '/recent', { timestamp, nonce: 'n2' }) })).status, 200);
+});
+
+test('scoped key: other recipients and paths -> 403', async t => {
+  const call = await startBridge(t, []);
+  const headers = { 'X-Api-Key': SCOPED_KEY };
+
+  assert.equal((await call('/code?to=b@icloud.com', { headers })).status, 403);
+  assert.equal((await call('/code', { headers })).status, 403);
+  assert.equal((await call('/recent', { headers })).status, 403);
+  assert.equal((await call('/code?to=a@icloud.com', { headers })).status, 200);
+});
+
+test('scoped key never gets a code from a mail with unknown recipients', async t => {
+  const internalDate = Date.now() - 1000;
+  const call = await startBridge(t, [
+    { id: 'm2', internalDate, recipients: [], code: '222222', where: 'body' },
+    { id: 'm1', internalDate: internalDate - 1000, recipients: ['b@icloud.com'], code: '111111', where: 'body' },
+  ]);
+
+  const scoped = await call('/code?to=a@icloud.com', { headers: { 'X-Api-Key': SCOPED_KEY } });
+  assert.equal(scoped.status, 200);
+  assert.equal(scoped.body.found, false);
+
+  const full = await call('/code?to=a@icloud.com', { headers: { 'X-Api-Key': FULL_KEY } });
+  assert.equal(full.body.found, true);
+  assert.equal(full.body.code, '222222');
+});
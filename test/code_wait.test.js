@@ -0,0 +1,60 @@
+// lib/code_wait.js: matchCode request rules and the delivery log (consume=1, /code/ack).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchCode, createDeliveryLog } = require('../lib/code_wait');
+
+const now = Date.now();
+const mail = (id, extra = {}) => ({ id, internalDate: now - id * 1000, recipients: ['a@icloud.com'], code: `00000${id}`, where: 'body', ...extra });
+
+test('matchCode: newest code for the recipient, claimed ones skipped', () => {
+  const candidates = [mail(1, { recipients: ['b@icloud.com'] }), mail(2), mail(3)];
+  const log = createDeliveryLog({ maxAgeMs: 60 * 60 * 1000 });
+  const claim = c => Boolean(log.claim('icloud:main', c, { consume: true, want: 'a@icloud.com' }));
+
+  assert.equal(matchCode(candidates, { want: 'a@icloud.com', claim }).id, 2);
+  assert.equal(matchCode(candidates, { want: 'a@icloud.com', claim }).id, 3);
+  const r = matchCode(candidates, { want: 'a@icloud.com', claim });
+  assert.equal(r.reason, 'codes_already_delivered');
+  assert.equal(r.skipped, 2);
+});
+
+test('a consumed code is not handed out to a later request without consume', () => {
+  const candidates = [mail(1), mail(2)];
+  const log = createDeliveryLog({ maxAgeMs: 60 * 60 * 1000 });
+  const claimer = consume => c => Boolean(log.claim('icloud:main', c, { consume, want: 'a@icloud.com' }));
+
+  assert.equal(matchCode(candidates, { want: 'a@icloud.com', claim: claimer(true) }).id, 1);
+  assert.equal(matchCode(candidates, { want: 'a@icloud.com', claim: claimer(false) }).id, 2);
+  assert.equal(matchCode(candidates, { want: 'a@icloud.com', claim: claimer(false) }).id, 2);
+  assert.equal(log.find(1)[0].delivered, 1);
+  assert.equal(log.find(2)[0].delivered, 2);
+});
+
+test('release() undoes its own claim', () => {
+  const log = createDeliveryLog({ maxAgeMs: 60 * 60 * 1000 });
+  log.claim('gmail:x', mail(1)).release();
+  assert.deepEqual(log.find(1), []);
+
+  log.claim('gmail:x', mail(1));
+  const h = log.claim('gmail:x', mail(1));
+  assert.equal(h.record().delivered, 2);
+  h.release();
+  assert.equal(log.find(1)[0].delivered, 1);
+});
+
+test('release() keeps an ack or a later claim made in between', () => {
+  const log = createDeliveryLog({ maxAgeMs: 60 * 60 * 1000 });
+
+  const first = log.claim('gmail:x', mail(1));
+  log.ack(log.find(1, 'gmail:x')[0]);
+  first.release();
+  assert.ok(log.find(1)[0].ackedAt);
+  assert.equal(log.claim('gmail:x', mail(1), { consume: true }), null);
+
+  const slow = log.claim('gmail:x', mail(2));
+  const later = log.claim('gmail:x', mail(2));
+  slow.release();
+  assert.equal(log.find(2)[0], later.record());
+  assert.equal(log.find(2)[0].delivered, 2);
+});
@@ -0,0 +1,118 @@
+// lib/gmail_source.js + lib/retry.js against a local fake Gmail API server:
+// pagination, the messages.get concurrency limit, 429 / 5xx backoff.
+
+process.env.GMAIL_CONCURRENCY = '3';
+process.env.API_RETRY_BASE_MS = '10';
+process.env.API_MAX_RETRIES = '3';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createGmailSource } = require('../lib/gmail_source');
+const { mapLimit } = require('../lib/retry');
+
+// routes: { 'GET /gmail/v1/users/me/messages': (url, n) -> { status, body, headers } }
+// n = how many times this route was called before (0-based)
+async function fakeGmail(routes) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const route = Object.keys(routes).find(r => {
+      const [method, pattern] = r.split(' ');
+      return method === req.method && new RegExp(`^${pattern}$`).test(url.pathname);
+    });
+    const n = calls.filter(c => c.route === route).length;
+    calls.push({ route, url });
+    Promise.resolve(route ? routes[route](url, n) : { status: 404, body: { error: { code: 404 } } }).then(r => {
+      res.writeHead(r.status || 200, { 'Content-Type': 'application/json', ...(r.headers || {}) });
+      res.end(JSON.stringify(r.body || {}));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const source = createGmailSource({ auth: 'test-key', rootUrl: `http://127.0.0.1:${server.address().port}/` });
+  return { source, calls, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const LIST = 'GET /gmail/v1/users/me/messages';
+const GET = 'GET /gmail/v1/users/me/messages/[^/]+';
+
+const quotaError = code => ({ status: code, body: { error: { code, message: 'quota', errors: [{ reason: 'rateLimitExceeded' }] } } });
+
+test('search() follows nextPageToken over every page', async t => {
+  const pages = { '': ['1', '2'], p2: ['3', '4'], p3: ['5'] };
+  const next = { '': 'p2', p2: 'p3', p3: undefined };
+  const fake = await fakeGmail({
+    [LIST]: url => {
+      const token = url.searchParams.get('pageToken') || '';
+      return { body: { messages: pages[token].map(id => ({ id })), nextPageToken: next[token] } };
+    },
+  });
+  t.after(fake.close);
+
+  const ids = await fake.source.search({ subjects: ['当選'], since: new Date('2025-11-01T00:00:00Z') });
+  assert.deepEqual(ids, ['1', '2', '3', '4', '5']);
+  assert.equal(fake.calls.length, 3);
+  assert.match(fake.calls[0].url.searchParams.get('q'), /subject:"当選".*after:1761955200/);
+});
+
+test('messages.get runs at most `concurrency` at once', async t => {
+  let inFlight = 0;
+  let peak = 0;
+  const fake = await fakeGmail({
+    [GET]: async url => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      inFlight--;
+      const id = url.pathname.split('/').pop();
+      return { body: { id, internalDate: '1762000000000', payload: { headers: [{ name: 'Subject', value: `mail ${id}` }] } } };
+    },
+  });
+  t.after(fake.close);
+
+  assert.equal(fake.source.concurrency, 3);
+  const ids = Array.from({ length: 10 }, (_, i) => String(i));
+  const headers = await mapLimit(ids, fake.source.concurrency, id => fake.source.fetchHeaders(id));
+
+  assert.deepEqual(headers.map(h => h.subject), ids.map(id => `mail ${id}`));
+  assert.equal(peak, 3);
+});
+
+test('429 and 5xx are retried with backoff until the call succeeds', async t => {
+  const fake = await fakeGmail({
+    [LIST]: (url, n) => (n === 0 ? quotaError(429) : n === 1 ? { status: 503, body: { error: { code: 503 } } } : { body: { messages: [{ id: 'a' }] } }),
+  });
+  t.after(fake.close);
+
+  const started = Date.now();
+  assert.deepEqual(await fake.source.search({}), ['a']);
+  assert.equal(fake.calls.length, 3);
+  // two waits: >= base / 2 and >= 2 * base / 2
+  assert.ok(Date.now() - started >= 15);
+});
+
+test('a per-user quota 403 is retried, Retry-After is honoured', async t => {
+  const fake = await fakeGmail({
+    [LIST]: (url, n) => (n === 0 ? { ...quotaError(403), headers: { 'Retry-After': '1' } } : { body: { messages: [] } }),
+  });
+  t.after(fake.close);
+
+  const started = Date.now();
+  assert.deepEqual(await fake.source.search({}), []);
+  assert.equal(fake.calls.length, 2);
+  assert.ok(Date.now() - started >= 1000);
+});
+
+test('gives up after API_MAX_RETRIES, does not retry other 4xx', async t => {
+  const fake = await fakeGmail({
+    [LIST]: () => quotaError(429),
+    [GET]: () => ({ status: 400, body: { error: { code: 400, message: 'bad request' } } }),
+  });
+  t.after(fake.close);
+
+  await assert.rejects(fake.source.search({}), err => err.response?.status === 429);
+  assert.equal(fake.calls.filter(c => c.route === LIST).length, 4);
+
+  await assert.rejects(fake.source.fetchHeaders('x'), err => err.response?.status === 400);
+  assert.equal(fake.calls.filter(c => c.route === GET).length, 1);
+});
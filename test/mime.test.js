@@ -0,0 +1,77 @@
+// lib/mime.js: raw IMAP messages (test/fixtures/mime/*.eml) decoded by charset
+// and transfer encoding; Gmail API payloads (same bytes) decoded by part charset.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseRfc822, rfc822ToBody, bodyToText, collectBodyTexts } = require('../lib/mime');
+const { extractDeadline, extractLotteryName, extractProductLines } = require('../lib/parsers');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'mime', name));
+
+test('ISO-2022-JP (7bit) body and encoded-word subject', async () => {
+  const raw = fixture('iso2022jp.eml');
+  const parsed = await parseRfc822(raw);
+  assert.equal(parsed.subject, '【ポケモンセンターオンライン】当選のお知らせ');
+
+  const text = bodyToText(await rfc822ToBody(raw));
+  assert.match(text, /ポケモンセンターオンラインをご利用いただきありがとうございます。/);
+  assert.equal(extractLotteryName(text), 'ポケモンカードゲーム 拡張パック 抽選販売');
+  assert.equal(extractDeadline(text).date.toISOString(), '2025-11-20T14:59:00.000Z');
+});
+
+test('Shift_JIS multipart/alternative: text part preferred, html kept', async () => {
+  const raw = fixture('shift_jis.eml');
+  const parsed = await parseRfc822(raw);
+  assert.equal(parsed.subject, '【ポケモンセンターオンライン】抽選結果のお知らせ');
+
+  const body = await rfc822ToBody(raw);
+  assert.match(body.text, /誠に残念ながら、今回はご当選となりませんでした。/);
+  assert.match(body.html, /<p>誠に残念ながら、今回はご当選となりませんでした。<\/p>/);
+  assert.equal(bodyToText(body), body.text);
+});
+
+test('quoted-printable UTF-8: soft line breaks joined, =XX bytes decoded', async () => {
+  const body = await rfc822ToBody(fixture('quoted_printable.eml'));
+  const text = bodyToText(body);
+
+  assert.match(text, /ご注文ありがとうございます。/);
+  assert.doesNotMatch(text, /=E3|=\r?\n/);
+  assert.deepEqual(extractProductLines(text), [
+    '4521329400000 ポケモンカードゲーム スカーレット&バイオレット 拡張パック BOX 1個 小計 5,400円',
+  ]);
+});
+
+test('empty / missing message', async () => {
+  assert.deepEqual(await rfc822ToBody(null), { text: '', html: '' });
+  assert.deepEqual(await rfc822ToBody(Buffer.alloc(0)), { text: '', html: '' });
+});
+
+// Gmail API part: base64url of the part's bytes, charset only in its Content-Type
+const gmailPart = (mimeType, charset, bytes) => ({
+  mimeType,
+  headers: [{ name: 'Content-Type', value: `${mimeType}; charset="${charset}"` }],
+  body: { data: bytes.toString('base64url') },
+});
+
+test('Gmail payload: every text part decoded in its own charset', () => {
+  const iso = fixture('iso2022jp.eml');
+  const isoBody = iso.subarray(iso.indexOf('\r\n\r\n') + 4);
+  const sjis = fixture('shift_jis.eml').toString('latin1');
+  const sjisText = Buffer.from(/charset=Shift_JIS\r\nContent-Transfer-Encoding: base64\r\n\r\n([\s\S]+?)\r\n--b1/.exec(sjis)[1], 'base64');
+
+  const bodies = collectBodyTexts({
+    mimeType: 'multipart/mixed',
+    parts: [
+      gmailPart('text/plain', 'ISO-2022-JP', isoBody),
+      gmailPart('text/plain', 'Shift_JIS', sjisText),
+      gmailPart('text/html', 'utf-8', Buffer.from('<p>ご注文ありがとうございます。</p>')),
+    ],
+  });
+
+  assert.equal(bodies.plain.length, 2);
+  assert.match(bodies.plain[0], /ポケモンカードゲーム 拡張パック 抽選販売/);
+  assert.match(bodies.plain[1], /誠に残念ながら、今回はご当選となりませんでした。/);
+  assert.deepEqual(bodies.html, ['<p>ご注文ありがとうございます。</p>']);
+});
@@ -0,0 +1,48 @@
+// reports/reminders.js --hours / ?days= validation, and the bridge /reminders answer.
+
+const os = require('node:os');
+const path = require('node:path');
+
+process.env.BRIDGE_AUTH = 'off';
+process.env.MAIL_STORE_FILE = path.join(os.tmpdir(), `reminders-test-${process.pid}.jsonl`); // never created
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHours, parseDays } = require('../reports/reminders');
+const { createRouter, createBridgeServer } = require('../lib/otp/index');
+
+test('parseHours: empty = 24, a number ≥ 0, anything else throws', () => {
+  assert.equal(parseHours(''), 24);
+  assert.equal(parseHours('0'), 0);
+  assert.equal(parseHours('48'), 48);
+  assert.throws(() => parseHours('abc'), /Invalid hours/);
+  assert.throws(() => parseHours('-1'), /Invalid hours/);
+});
+
+test('parseDays: empty = 30, a number > 0, anything else throws', () => {
+  assert.equal(parseDays(null), 30);
+  assert.equal(parseDays('7'), 7);
+  for (const bad of ['abc', '-5', '0', 'Infinity']) assert.throws(() => parseDays(bad), /Invalid days/);
+});
+
+test('/reminders: 400 invalid_hours / invalid_days, else the list', async t => {
+  const server = createBridgeServer(createRouter([]));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const get = async url => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${url}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  assert.equal((await get('/reminders?hours=x')).body.error, 'invalid_hours');
+  for (const days of ['-5', 'abc', '0']) {
+    const r = await get(`/reminders?days=${days}`);
+    assert.equal(r.status, 400);
+    assert.equal(r.body.error, 'invalid_days');
+  }
+
+  const ok = await get('/reminders?hours=12&days=7');
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.hours, 12);
+  assert.equal(ok.body.count, 0);
+});
@@ -0,0 +1,44 @@
+// lib/shops: which plugin reads a mail, and what an unrecognized shop yields.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { detectShop, UNKNOWN_SHOP } = require('../lib/shops');
+const { getRule, extractFields } = require('../lib/rules');
+const { rfc822ToBody, bodyToText } = require('../lib/mime');
+
+const OTHER_SHOP_ORDER = [
+  'ご注文ありがとうございます。',
+  '■ご注文商品',
+  '4521329400000 ポケモンカードゲーム 拡張パック BOX 1個 小計 5,400円',
+  '注文番号: A-123456',
+].join('\n');
+const otherShop = { subject: '【テストショップ】ご注文確認', from: 'order@shop.example', to: 'a@icloud.com' };
+
+test('Pokemon Center order mail: read by its plugin', async () => {
+  const raw = fs.readFileSync(path.join(__dirname, 'fixtures', 'mime', 'quoted_printable.eml'));
+  const text = bodyToText(await rfc822ToBody(raw));
+  const h = { subject: '【ポケモンセンターオンライン】注文完了のお知らせ', from: 'info@pokemoncenter-online.com' };
+
+  assert.equal(detectShop(h, text).id, 'pokemon-center');
+  assert.deepEqual(extractFields(getRule('order'), text, h).products.map(p => p.jan), ['4521329400000']);
+});
+
+test('unrecognized shop: no named extractor runs, fields stay empty', () => {
+  assert.equal(detectShop(otherShop, OTHER_SHOP_ORDER), UNKNOWN_SHOP);
+  assert.deepEqual(extractFields(getRule('order'), OTHER_SHOP_ORDER, otherShop), {});
+  assert.deepEqual(extractFields(getRule('shipping'), OTHER_SHOP_ORDER, otherShop), {});
+});
+
+test('unrecognized shop: regex extractors from rules.json still apply', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const rulesPath = path.join(dir, 'rules.json');
+  fs.writeFileSync(rulesPath, JSON.stringify({
+    order: { subjects: ['ご注文確認'], extract: { orderNo: { regex: '注文番号: ([A-Z0-9-]+)' }, products: 'orderProducts' } },
+  }));
+
+  assert.deepEqual(extractFields(getRule('order', rulesPath), OTHER_SHOP_ORDER, otherShop), { orderNo: 'A-123456' });
+});
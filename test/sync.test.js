@@ -0,0 +1,94 @@
+// reports/run.js syncReport(): incremental sync against a fake mail source,
+// full rescan when the checkpoint's window or parse settings no longer hold.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { syncReport } = require('../reports/run');
+const { openStore } = require('../lib/store');
+const { openCheckpoints } = require('../lib/checkpoints');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Mailbox of `mails` ({ id, subject }); position = highest id
+function fakeSource(mails) {
+  const now = Date.now();
+  return {
+    provider: 'gmail',
+    account: 'me@gmail.com',
+    async search() {
+      return mails.map(m => m.id);
+    },
+    async searchSince(cp) {
+      return mails.filter(m => m.id > cp.lastId).map(m => m.id);
+    },
+    async checkpoint() {
+      return { lastId: Math.max(0, ...mails.map(m => m.id)) };
+    },
+    async fetchHeaders(id) {
+      const m = mails.find(x => x.id === id);
+      return { id, messageId: `<${id}@test>`, subject: m.subject, from: '', to: '', date: new Date(now - id * 1000), internalDate: new Date(now - id * 1000), headers: {} };
+    },
+  };
+}
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = openStore(path.join(dir, 'messages.jsonl'));
+  const checkpoints = openCheckpoints(path.join(dir, 'sync_state.json'));
+  const parsed = [];
+  const report = {
+    type: 'lottery',
+    version: 1,
+    subjects: () => ['当選'],
+    ingest: async (source, h) => {
+      parsed.push(h.id);
+      return { version: report.version };
+    },
+  };
+  return { store, checkpoints, parsed, report };
+}
+
+test('incremental run lists only new mail', async t => {
+  const { store, checkpoints, parsed, report } = setup(t);
+  const mails = [{ id: 1, subject: '当選' }, { id: 2, subject: '当選' }];
+  const options = { since: new Date(Date.now() - 7 * DAY) };
+
+  await syncReport(report, fakeSource(mails), store, checkpoints, options);
+  mails.push({ id: 3, subject: '当選' });
+  await syncReport(report, fakeSource(mails), store, checkpoints, options);
+
+  assert.deepEqual(parsed.sort(), [1, 2, 3]);
+});
+
+test('a bumped report version rescans the window and re-parses stored mail', async t => {
+  const { store, checkpoints, parsed, report } = setup(t);
+  const source = fakeSource([{ id: 1, subject: '当選' }, { id: 2, subject: '当選' }]);
+  const options = { since: new Date(Date.now() - 7 * DAY) };
+
+  await syncReport(report, source, store, checkpoints, options);
+  report.version = 2;
+  await syncReport(report, source, store, checkpoints, options);
+
+  assert.deepEqual(parsed.sort(), [1, 1, 2, 2]);
+  assert.deepEqual(store.get('1@test').fields, { version: 2 });
+
+  // Up to date again: nothing listed, nothing parsed
+  await syncReport(report, source, store, checkpoints, options);
+  assert.equal(parsed.length, 4);
+});
+
+test('--since before the covered window rescans it', async t => {
+  const { store, checkpoints, parsed, report } = setup(t);
+  const source = fakeSource([{ id: 1, subject: '当選' }]);
+
+  await syncReport(report, source, store, checkpoints, { since: new Date(Date.now() - 7 * DAY) });
+  await syncReport(report, source, store, checkpoints, { since: new Date(Date.now() - 30 * DAY) });
+  const saved = Object.values(JSON.parse(fs.readFileSync(checkpoints.filePath, 'utf-8')))[0];
+
+  assert.deepEqual(parsed, [1]); // listed again, same version: cached
+  assert.equal(new Date(saved.coveredSince).getTime() < Date.now() - 29 * DAY, true);
+});